@@ -0,0 +1,59 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const projectRoot = path.resolve(__dirname, '..');
+const tasksVisionDir = path.join(projectRoot, 'node_modules', '@mediapipe', 'tasks-vision');
+const visionTasksFile = path.join(projectRoot, 'src', 'vm', 'extensions', 'block', 'vision-tasks.js');
+const mediapipeDir = path.join(projectRoot, 'dist', 'mediapipe');
+
+const MODEL_BASE_URL = 'https://storage.googleapis.com/mediapipe-models/';
+
+// Read the pinned version and the model paths from the source
+const visionTasksSource = fs.readFileSync(visionTasksFile, 'utf-8');
+const pinnedVersion = visionTasksSource.match(/TASKS_VISION_VERSION = '([^']+)'/)[1];
+const modelPaths = Array.from(visionTasksSource.matchAll(/: '([^']+\.task)'/g), match => match[1]);
+
+// Check the installed version is the pinned one
+const tasksVisionPackage = JSON.parse(fs.readFileSync(path.join(tasksVisionDir, 'package.json'), 'utf-8'));
+if (tasksVisionPackage.version !== pinnedVersion) {
+    console.error(`Error: @mediapipe/tasks-vision ${tasksVisionPackage.version} is installed` +
+        ` but ${pinnedVersion} is pinned in vision-tasks.js`);
+    process.exit(1);
+}
+
+// Copy the module and the WASM fileset
+fs.ensureDirSync(mediapipeDir);
+fs.copyFileSync(
+    path.join(tasksVisionDir, 'vision_bundle.mjs'),
+    path.join(mediapipeDir, 'vision_bundle.mjs')
+);
+fs.copySync(path.join(tasksVisionDir, 'wasm'), path.join(mediapipeDir, 'wasm'));
+console.log(`✓ Copied: @mediapipe/tasks-vision ${pinnedVersion} to dist/mediapipe`);
+
+// Download the models which are not downloaded yet
+const downloadModels = async () => {
+    for (const modelPath of modelPaths) {
+        const modelFile = path.join(mediapipeDir, 'models', modelPath);
+        if (fs.existsSync(modelFile)) {
+            console.log(`Already exists: dist/mediapipe/models/${modelPath}`);
+            continue;
+        }
+        const response = await fetch(`${MODEL_BASE_URL}${modelPath}`);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${modelPath}: ${response.status}`);
+        }
+        fs.ensureDirSync(path.dirname(modelFile));
+        fs.writeFileSync(modelFile, Buffer.from(await response.arrayBuffer()));
+        console.log(`✓ Downloaded: dist/mediapipe/models/${modelPath}`);
+    }
+};
+
+downloadModels()
+    .catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
@@ -89,9 +89,6 @@ const rollupOptions = {
         },
         buildDelay: 500,
     },
-    external: [
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest"
-    ],
 }
 
 export default rollupOptions;
@@ -32,6 +32,17 @@ try {
     process.exit(1);
 }
 
+// Copy MediaPipe assets to be self-hosted next to the module
+try {
+    execSync('npm run mediapipe', {
+        cwd: projectRoot,
+        stdio: 'inherit'
+    });
+} catch (error) {
+    console.error('Copying MediaPipe assets failed:', error.message);
+    process.exit(1);
+}
+
 // Create version directory and copy files
 const sourceFile = path.join(distDir, `${EXTENSION_ID}.mjs`);
 const versionDir = path.join(distDir, version);
@@ -41,8 +52,15 @@ if (fs.existsSync(sourceFile)) {
     // Create version directory
     fs.ensureDirSync(versionDir);
     
-    // Copy the module file
-    fs.copyFileSync(sourceFile, targetFile);
+    // Copy the module file with the path to the MediaPipe assets in dist/mediapipe/
+    const moduleSource = fs.readFileSync(sourceFile, 'utf-8');
+    const assetPathPattern = /(\bASSET_PATH\w*\s*=\s*)(['"])\.\/mediapipe\/\2/g;
+    const assetPathCount = (moduleSource.match(assetPathPattern) || []).length;
+    if (assetPathCount !== 1) {
+        console.error(`Error: found ${assetPathCount} ASSET_PATH of the MediaPipe assets in ${sourceFile}, expected 1`);
+        process.exit(1);
+    }
+    fs.writeFileSync(targetFile, moduleSource.replace(assetPathPattern, '$1$2../mediapipe/$2'), 'utf-8');
     console.log(`✓ Created: dist/${version}/${EXTENSION_ID}.mjs`);
     
     // Also copy sourcemap if it exists
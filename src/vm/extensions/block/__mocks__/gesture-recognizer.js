@@ -0,0 +1,66 @@
+/**
+ * Mock implementation of gesture-recognizer.js for testing
+ */
+
+/* global jest */
+
+// Default mock gesture results. Wrists are placed at the same positions as the mock hand landmarks
+// but in the reversed order to check that gestures are matched to hands by position.
+const mockGestureData = {
+    gestures: [
+        [{categoryName: 'Victory', score: 0.81}],
+        [{categoryName: 'Closed_Fist', score: 0.9}]
+    ],
+    handedness: [
+        [{categoryName: 'Left', score: 0.92}],
+        [{categoryName: 'Right', score: 0.95}]
+    ],
+    landmarks: [
+        [{x: 0.3, y: 0.6, z: 0.1}],
+        [{x: 0.5, y: 0.6, z: 0.1}]
+    ],
+    worldLandmarks: [[], []]
+};
+
+let currentMockGestureData = mockGestureData;
+let modelAssetPath = 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task';
+
+// Create mock recognize function
+const recognize = jest.fn(() => Promise.resolve(currentMockGestureData));
+
+// Create mock setGestureModelAssetPath function
+const setGestureModelAssetPath = jest.fn(path => {
+    modelAssetPath = path;
+    return Promise.resolve();
+});
+
+// Create mock getGestureModelAssetPath function
+const getGestureModelAssetPath = jest.fn(() => modelAssetPath);
+
+// Create mock setGestureNumHands function
+const setGestureNumHands = jest.fn(() => Promise.resolve());
+
+// Create mock resetGestureRecognizer function
+const resetGestureRecognizer = jest.fn();
+
+// Export helper functions to control mock behavior in tests
+const mockGestureHelpers = {
+    // Set custom gesture data for testing specific scenarios
+    setMockGestureData: gestureData => {
+        currentMockGestureData = gestureData;
+    },
+    // Reset to default mock data
+    resetGestureData: () => {
+        currentMockGestureData = mockGestureData;
+        return currentMockGestureData;
+    }
+};
+
+export {
+    recognize,
+    setGestureModelAssetPath,
+    getGestureModelAssetPath,
+    setGestureNumHands,
+    resetGestureRecognizer,
+    mockGestureHelpers
+};
@@ -104,6 +104,22 @@ for (let hand = 0; hand < 2; hand++) {
 let currentMockHandData = mockHandData;
 let modelAssetPath = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
 let numHands = 4;
+let assetBaseURL = 'https://yokobond.github.io/xcx-mp-hand/dist/mediapipe/';
+let modelStatus = 'unloaded';
+let modelError = '';
+let loadingError = null;
+let delegatePreference = 'auto';
+const confidences = {
+    minHandDetectionConfidence: 0.5,
+    minHandPresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5
+};
+const statusListeners = [];
+
+const setModelStatus = status => {
+    modelStatus = status;
+    statusListeners.forEach(listener => listener(status));
+};
 
 // Create mock detect function
 const detect = jest.fn(() => {
@@ -114,6 +130,9 @@ const detect = jest.fn(() => {
     return currentMockHandData;
 });
 
+// Create mock detectForVideo function which returns the same results as detect
+const detectForVideo = jest.fn(image => detect(image));
+
 // Create mock setModelAssetPath function
 const setModelAssetPath = jest.fn(path => {
     modelAssetPath = path;
@@ -129,6 +148,70 @@ const setNumHands = jest.fn(num => {
 // Create mock getNumHands function
 const getNumHands = jest.fn(() => numHands);
 
+// Create mock setAssetBaseURL function
+const setAssetBaseURL = jest.fn(url => {
+    assetBaseURL = url;
+    return Promise.resolve();
+});
+
+// Create mock getAssetBaseURL function
+const getAssetBaseURL = jest.fn(() => assetBaseURL);
+
+// Create mock loadHandLandmarker function which fails when a loading error is set
+const loadHandLandmarker = jest.fn(() => {
+    if (modelStatus === 'ready') return Promise.resolve({});
+    setModelStatus('loading');
+    if (loadingError) {
+        modelError = loadingError.message;
+        setModelStatus('error');
+        return Promise.reject(loadingError);
+    }
+    modelError = '';
+    setModelStatus('ready');
+    return Promise.resolve({});
+});
+
+// Create mock getModelStatus function
+const getModelStatus = jest.fn(() => modelStatus);
+
+// Create mock getModelError function
+const getModelError = jest.fn(() => modelError);
+
+// Create mock onModelStatusChange function
+const onModelStatusChange = jest.fn(listener => {
+    statusListeners.push(listener);
+    return () => {
+        const index = statusListeners.indexOf(listener);
+        if (index >= 0) statusListeners.splice(index, 1);
+    };
+});
+
+// Create mock setDelegate function
+const setDelegate = jest.fn(delegate => {
+    delegatePreference = delegate;
+    return Promise.resolve();
+});
+
+// Create mock getDelegate function which reports GPU for 'auto'
+const getDelegate = jest.fn(() => {
+    if (modelStatus !== 'ready') return '';
+    return delegatePreference === 'auto' ? 'GPU' : delegatePreference;
+});
+
+// Create mock setConfidence function
+const setConfidence = jest.fn((name, value) => {
+    if (!Object.prototype.hasOwnProperty.call(confidences, name)) {
+        return Promise.reject(new Error(`Unknown confidence: ${name}`));
+    }
+    confidences[name] = value;
+    return Promise.resolve();
+});
+
+// Create mock getConfidence function which returns null for unknown names
+const getConfidence = jest.fn(name => (
+    Object.prototype.hasOwnProperty.call(confidences, name) ? confidences[name] : null
+));
+
 // Export helper functions to control mock behavior in tests
 const mockHelpers = {
     // Set custom hand data for testing specific scenarios
@@ -146,7 +229,36 @@ const mockHelpers = {
         return currentMockHandData;
     },
     // Get the current model path
-    getModelPath: () => modelAssetPath
+    getModelPath: () => modelAssetPath,
+    // Make the loading of the model fail with the error, or succeed with null
+    setLoadingError: error => {
+        loadingError = error;
+    },
+    // Reset the model to be unloaded
+    resetModel: () => {
+        loadingError = null;
+        modelStatus = 'unloaded';
+        modelError = '';
+        delegatePreference = 'auto';
+    }
 };
 
-export {detect, setModelAssetPath, modelAssetPath, setNumHands, getNumHands, mockHelpers};
+export {
+    detect,
+    detectForVideo,
+    setModelAssetPath,
+    modelAssetPath,
+    setNumHands,
+    getNumHands,
+    setAssetBaseURL,
+    getAssetBaseURL,
+    loadHandLandmarker,
+    getModelStatus,
+    getModelError,
+    onModelStatusChange,
+    setDelegate,
+    getDelegate,
+    setConfidence,
+    getConfidence,
+    mockHelpers
+};
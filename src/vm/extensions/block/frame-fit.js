@@ -0,0 +1,46 @@
+/**
+ * This module provides functions to fit an image frame on the stage.
+ * The landmarks are normalized in the frame, so their positions on the stage
+ * depend on how the frame is fitted when the aspect ratios are different.
+ * @module frame-fit
+ */
+
+/**
+ * Ways to fit a frame on the stage.
+ * @readonly
+ * @enum {string}
+ */
+export const FrameFit = {
+    /** Fill the stage by scaling the width and the height separately. */
+    STRETCH: 'stretch',
+
+    /** Show the whole frame on the stage with letterboxing. */
+    CONTAIN: 'contain',
+
+    /** Fill the stage by cropping the frame. */
+    COVER: 'cover'
+};
+
+/**
+ * Size of a frame when it is fitted on the stage.
+ * The frame is placed at the center of the stage.
+ * @param {{width: number, height: number}} frame - size of the frame
+ * @param {{width: number, height: number}} stage - size of the stage
+ * @param {FrameFit} fit - way to fit the frame
+ * @returns {{width: number, height: number}} - size of the frame on the stage
+ */
+export const fitFrameSize = function (frame, stage, fit) {
+    if (fit !== FrameFit.CONTAIN && fit !== FrameFit.COVER) {
+        return {width: stage.width, height: stage.height};
+    }
+    if (!(frame.width > 0) || !(frame.height > 0)) {
+        return {width: stage.width, height: stage.height};
+    }
+    const scaleX = stage.width / frame.width;
+    const scaleY = stage.height / frame.height;
+    const scale = fit === FrameFit.CONTAIN ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+    return {
+        width: frame.width * scale,
+        height: frame.height * scale
+    };
+};
@@ -0,0 +1,127 @@
+import {loadVisionTasks, resolveModelURL, cdnModelURL, createWithDelegate} from './vision-tasks.js';
+
+/**
+ * Model asset path. It is the self-hosted or the CDN model unless it was set by the user.
+ */
+let modelAssetPath = cdnModelURL('gestureRecognizer');
+
+/**
+ * Whether the model asset path was set by the user.
+ */
+let customModelAssetPath = false;
+
+/**
+ * Number of hands to recognize
+ */
+let numHands = 4;
+
+/**
+ * Promise of the gesture recognizer. It is created on the first recognition
+ * to avoid loading the model when gestures are not used.
+ */
+let gestureRecognizerPromise = null;
+
+/**
+ * Resolve the model asset path to the self-hosted or the CDN model unless it was set by the user.
+ */
+const resolveModelAssetPath = async function () {
+    if (customModelAssetPath) return;
+    modelAssetPath = await resolveModelURL('gestureRecognizer');
+};
+
+/**
+ * Create image gesture recognizer
+ * @returns {GestureRecognizer} - gesture recognizer
+ */
+const createImageGestureRecognizer = async () => {
+    const {tasks, fileset} = await loadVisionTasks();
+    await resolveModelAssetPath();
+    const {task} = await createWithDelegate(delegate => tasks.GestureRecognizer.createFromOptions(
+        fileset,
+        {
+            baseOptions: {
+                modelAssetPath: modelAssetPath,
+                delegate: delegate
+            },
+            runningMode: 'IMAGE',
+            numHands: numHands
+        }
+    ));
+    return task;
+};
+
+/**
+ * Create the gesture recognizer to share.
+ * It is discarded when it failed to be created, so that the next recognition tries it again.
+ * @returns {Promise<GestureRecognizer>} - promise of the gesture recognizer
+ */
+const createGestureRecognizerPromise = function () {
+    const promise = createImageGestureRecognizer()
+        .catch(error => {
+            if (gestureRecognizerPromise === promise) {
+                gestureRecognizerPromise = null;
+            }
+            throw error;
+        });
+    return promise;
+};
+
+/**
+ * Recognize gestures
+ * @param {ImageData} image - image data
+ * @returns {GestureRecognizerResult} - gesture recognizer result
+ */
+const recognize = async function (image) {
+    if (!gestureRecognizerPromise) {
+        gestureRecognizerPromise = createGestureRecognizerPromise();
+    }
+    const gestureRecognizer = await gestureRecognizerPromise;
+    const gestureRecognizerResult = gestureRecognizer.recognize(image);
+    return gestureRecognizerResult;
+};
+
+/**
+ * Set gesture model asset path
+ * @param {string} path - model asset path
+ */
+const setGestureModelAssetPath = async function (path) {
+    modelAssetPath = path;
+    customModelAssetPath = true;
+    gestureRecognizerPromise = createGestureRecognizerPromise();
+    await gestureRecognizerPromise;
+};
+
+/**
+ * Get gesture model asset path
+ * @returns {string} - model asset path
+ */
+const getGestureModelAssetPath = function () {
+    return modelAssetPath;
+};
+
+/**
+ * Discard the gesture recognizer to create it again with the current assets on the next recognition.
+ */
+const resetGestureRecognizer = function () {
+    gestureRecognizerPromise = null;
+};
+
+/**
+ * Set number of hands to recognize
+ * @param {number} num - number of hands
+ */
+const setGestureNumHands = async function (num) {
+    numHands = num;
+    if (gestureRecognizerPromise) {
+        const gestureRecognizer = await gestureRecognizerPromise;
+        await gestureRecognizer.setOptions({numHands: numHands});
+    }
+};
+
+export {
+    recognize,
+    setGestureModelAssetPath,
+    getGestureModelAssetPath,
+    setGestureNumHands,
+    resetGestureRecognizer
+};
@@ -0,0 +1,230 @@
+/**
+ * This module converts the hand results and the recordings to files and back.
+ * JSON has the raw shape of HandLandmarkerResult or of a recording,
+ * and CSV has a row for each hand in each frame with columns for x/y/z of each landmark.
+ * A frame without hands has a row of hand 0 in CSV.
+ * @module hand-data-file
+ */
+
+import {RECORDING_VERSION, validateRecording} from './hand-recording.js';
+
+/**
+ * Number of the landmarks of a hand.
+ * @type {number}
+ */
+const NUM_LANDMARKS = 21;
+
+/**
+ * Columns of the CSV before the landmarks.
+ * @type {Array<string>}
+ */
+const CSV_INFO_COLUMNS = ['time', 'hand', 'handedness', 'score'];
+
+/**
+ * Columns of the CSV for the landmarks with a prefix.
+ * @param {string} prefix - prefix of the columns
+ * @returns {Array<string>} - the columns of x, y and z of all the landmarks
+ */
+const landmarkColumns = function (prefix) {
+    const columns = [];
+    for (let index = 0; index < NUM_LANDMARKS; index++) {
+        columns.push(`${prefix}x${index}`, `${prefix}y${index}`, `${prefix}z${index}`);
+    }
+    return columns;
+};
+
+/**
+ * All the columns of the CSV.
+ * The image landmarks are 'x0'-'z20' and the world landmarks are 'world_x0'-'world_z20'.
+ * @type {Array<string>}
+ */
+const CSV_COLUMNS = CSV_INFO_COLUMNS.concat(landmarkColumns(''), landmarkColumns('world_'));
+
+/**
+ * Make a recording which has only one result.
+ * @param {HandLandmarkerResult?} result - the result of the hand landmarker
+ * @returns {{version: number, frames: Array<object>}} - the recording
+ */
+export const resultToRecording = function (result) {
+    return {
+        version: RECORDING_VERSION,
+        frames: [{time: 0, result: result, gestureResult: null, frame: {}}]
+    };
+};
+
+/**
+ * Convert a recording to CSV.
+ * @param {{frames: Array<object>}} recording - the recording
+ * @returns {string} - CSV text which has the header
+ */
+export const recordingToCSV = function (recording) {
+    const rows = [CSV_COLUMNS.join(',')];
+    recording.frames.forEach(frame => {
+        const result = frame.result;
+        if (!result || !result.handednesses || result.handednesses.length === 0) {
+            rows.push([frame.time, 0].concat(new Array(CSV_COLUMNS.length - 2).fill(''))
+                .join(','));
+            return;
+        }
+        result.handednesses.forEach((handedness, handIndex) => {
+            const toValues = landmarks => landmarks.reduce(
+                (values, landmark) => values.concat([landmark.x, landmark.y, landmark.z]),
+                []
+            );
+            rows.push([
+                frame.time,
+                handIndex + 1,
+                handedness[0].categoryName,
+                handedness[0].score
+            ].concat(
+                toValues(result.landmarks[handIndex]),
+                toValues(result.worldLandmarks[handIndex])
+            )
+                .join(','));
+        });
+    });
+    return `${rows.join('\n')}\n`;
+};
+
+/**
+ * Convert CSV to a recording. The rows of the same time are put in the same frame.
+ * @param {string} text - CSV text which has the header
+ * @returns {{version: number, frames: Array<object>}} - the recording
+ * @throws {Error} - if the CSV does not have the columns
+ */
+export const csvToRecording = function (text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error('Invalid CSV');
+    const header = lines[0].split(',').map(column => column.trim());
+    const columnIndexes = CSV_COLUMNS.map(column => header.indexOf(column));
+    if (columnIndexes.some(index => index < 0)) throw new Error('Invalid CSV');
+    const frames = [];
+    lines.slice(1).forEach(line => {
+        const cells = line.split(',');
+        const value = column => cells[columnIndexes[CSV_COLUMNS.indexOf(column)]];
+        const landmarks = prefix => {
+            const points = [];
+            for (let index = 0; index < NUM_LANDMARKS; index++) {
+                points.push({
+                    x: Number(value(`${prefix}x${index}`)),
+                    y: Number(value(`${prefix}y${index}`)),
+                    z: Number(value(`${prefix}z${index}`))
+                });
+            }
+            return points;
+        };
+        const time = Number(value('time'));
+        if (Number(value('hand')) === 0) {
+            frames.push({time: time, result: null, gestureResult: null, frame: {}});
+            return;
+        }
+        let frame = frames[frames.length - 1];
+        if (!frame || frame.time !== time || !frame.result) {
+            frame = {
+                time: time,
+                result: {landmarks: [], worldLandmarks: [], handednesses: []},
+                gestureResult: null,
+                frame: {}
+            };
+            frames.push(frame);
+        }
+        const handedness = value('handedness');
+        frame.result.handednesses.push([{
+            categoryName: handedness,
+            displayName: handedness,
+            score: Number(value('score')),
+            index: handedness === 'Left' ? 1 : 0
+        }]);
+        frame.result.landmarks.push(landmarks(''));
+        frame.result.worldLandmarks.push(landmarks('world_'));
+    });
+    return {version: RECORDING_VERSION, frames};
+};
+
+/**
+ * Read a recording from a JSON or CSV file.
+ * JSON of a HandLandmarkerResult is read as a recording which has only the result.
+ * @param {string} text - the content of the file
+ * @returns {{version: number, frames: Array<object>}} - the recording
+ * @throws {Error} - if the content is not hand data which has the landmarks and the world landmarks of each hand
+ */
+export const parseHandsFile = function (text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{')) {
+        return validateRecording(csvToRecording(trimmed));
+    }
+    const data = JSON.parse(trimmed);
+    if (data && Array.isArray(data.landmarks) && Array.isArray(data.handednesses)) {
+        return validateRecording(resultToRecording(data));
+    }
+    return validateRecording(data);
+};
+
+/**
+ * Let the browser download a text as a file.
+ * @param {string} text - the content of the file
+ * @param {string} fileName - the name of the file
+ * @param {string} type - the MIME type of the file
+ */
+export const downloadTextFile = function (text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], {type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Time in milliseconds to wait for the change of the file input after the window got the focus back.
+ * Some browsers do not fire 'cancel' when the picker was closed without choosing a file.
+ * @type {number}
+ */
+const FILE_PICKER_CLOSE_DELAY = 1000;
+
+/**
+ * Let the user choose a text file and read it.
+ * The browser shows the picker only while the user is interacting with the page,
+ * so it is rejected at once when the block was not started by a click just before.
+ * @param {string} accept - the types of the files to choose
+ * @returns {Promise<string>} - a promise that resolves with the content, or rejects when no file was chosen
+ */
+export const openTextFile = function (accept) {
+    return new Promise((resolve, reject) => {
+        if (navigator.userActivation && !navigator.userActivation.isActive) {
+            reject(new Error('Click the block to choose a file'));
+            return;
+        }
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        let closeTimer = null;
+        const onFocus = () => {
+            closeTimer = setTimeout(() => input.oncancel(), FILE_PICKER_CLOSE_DELAY);
+        };
+        const settle = () => {
+            clearTimeout(closeTimer);
+            window.removeEventListener('focus', onFocus);
+            input.onchange = null;
+            input.oncancel = null;
+        };
+        const cancel = () => {
+            settle();
+            reject(new Error('No file was chosen'));
+        };
+        input.onchange = () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                cancel();
+                return;
+            }
+            settle();
+            file.text().then(resolve, reject);
+        };
+        input.oncancel = cancel;
+        window.addEventListener('focus', onFocus);
+        input.click();
+    });
+};
@@ -0,0 +1,256 @@
+/**
+ * This module provides functions to analyse the shape of a hand from its landmarks.
+ * The landmarks are the 21 points of MediaPipe hand landmarker.
+ * World landmarks are preferred because they are in real world scale.
+ * @module hand-geometry
+ */
+
+/**
+ * Landmark indices of each finger from the root to the tip.
+ * @type {Object<string, Array<number>>}
+ */
+export const FINGERS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+/**
+ * Check if a name is a finger in FINGERS.
+ * The name may come from a reporter, so the members of Object.prototype are not fingers.
+ * @param {string} finger - name of the finger
+ * @returns {boolean} - true if it is a finger
+ */
+export const isFinger = function (finger) {
+    return Object.prototype.hasOwnProperty.call(FINGERS, finger);
+};
+
+/**
+ * Pairs of the landmark indices which are connected by the bones of a hand.
+ * It is the same as HAND_CONNECTIONS of MediaPipe.
+ * @type {Array<Array<number>>}
+ */
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+];
+
+/**
+ * Maximum bending angles in degrees of the joints of a finger which is fully curled.
+ * Thumb bends at MCP and IP. Other fingers bend at MCP, PIP and DIP.
+ * @type {Object<string, Array<number>>}
+ */
+const MAX_BENDS = {
+    thumb: [60, 90],
+    finger: [90, 110, 90]
+};
+
+/**
+ * Curl amount to decide that a finger is extended.
+ * @type {number}
+ */
+const EXTENDED_CURL_THRESHOLD = 50;
+
+/**
+ * Subtract a point from another point.
+ * @param {{x: number, y: number, z: number}} a - point
+ * @param {{x: number, y: number, z: number}} b - point to subtract
+ * @returns {{x: number, y: number, z: number}} - vector from b to a
+ */
+export const subtract = function (a, b) {
+    return {
+        x: a.x - b.x,
+        y: a.y - b.y,
+        z: (a.z || 0) - (b.z || 0)
+    };
+};
+
+/**
+ * Length of a vector.
+ * @param {{x: number, y: number, z: number}} v - vector
+ * @returns {number} - length
+ */
+export const length = function (v) {
+    return Math.hypot(v.x, v.y, v.z || 0);
+};
+
+/**
+ * Distance between two points.
+ * @param {{x: number, y: number, z: number}} a - point
+ * @param {{x: number, y: number, z: number}} b - point
+ * @returns {number} - distance
+ */
+export const distance = function (a, b) {
+    return length(subtract(a, b));
+};
+
+/**
+ * Angle between two vectors in degrees.
+ * @param {{x: number, y: number, z: number}} v1 - vector
+ * @param {{x: number, y: number, z: number}} v2 - vector
+ * @returns {number} - angle in degrees (0-180), 0 if a vector has no length
+ */
+export const angleBetween = function (v1, v2) {
+    const length1 = length(v1);
+    const length2 = length(v2);
+    if (length1 === 0 || length2 === 0) return 0;
+    const dot = (v1.x * v2.x) + (v1.y * v2.y) + ((v1.z || 0) * (v2.z || 0));
+    const cos = Math.min(1, Math.max(-1, dot / (length1 * length2)));
+    return Math.acos(cos) * 180 / Math.PI;
+};
+
+/**
+ * Bending angle at a joint. It is 0 when the bones of the both side are in a straight line.
+ * @param {{x: number, y: number, z: number}} prev - previous joint
+ * @param {{x: number, y: number, z: number}} joint - the joint
+ * @param {{x: number, y: number, z: number}} next - next joint
+ * @returns {number} - bending angle in degrees
+ */
+const bendAt = function (prev, joint, next) {
+    return angleBetween(subtract(joint, prev), subtract(next, joint));
+};
+
+/**
+ * Curl amount of a finger.
+ * It is the sum of the bending angles of the joints relative to a fully curled finger.
+ * It does not depend on the position, rotation, handedness or mirroring of the hand.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @param {string} finger - name of the finger in FINGERS
+ * @returns {number} - curl amount (0: straight - 100: fully curled)
+ */
+export const fingerCurl = function (landmarks, finger) {
+    if (!isFinger(finger)) return 0;
+    const joints = FINGERS[finger];
+    // The chain of the points from the previous point of the root joint to the tip.
+    const chain = (finger === 'thumb' ? joints : [0].concat(joints)).map(index => landmarks[index]);
+    const maxBends = finger === 'thumb' ? MAX_BENDS.thumb : MAX_BENDS.finger;
+    let bend = 0;
+    for (let i = 1; i < chain.length - 1; i++) {
+        bend += bendAt(chain[i - 1], chain[i], chain[i + 1]);
+    }
+    const maxBend = maxBends.reduce((sum, value) => sum + value, 0);
+    return Math.min(100, Math.max(0, bend * 100 / maxBend));
+};
+
+/**
+ * Check if a finger is extended.
+ * The thumb is extended when it is not curled and its tip is farther from the pinky MCP than its IP,
+ * because a thumb can be folded over the palm without bending the joints.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @param {string} finger - name of the finger in FINGERS
+ * @returns {boolean} - true if the finger is extended
+ */
+export const isFingerExtended = function (landmarks, finger) {
+    if (!isFinger(finger)) return false;
+    if (fingerCurl(landmarks, finger) >= EXTENDED_CURL_THRESHOLD) return false;
+    if (finger === 'thumb') {
+        return distance(landmarks[4], landmarks[17]) > distance(landmarks[3], landmarks[17]);
+    }
+    return true;
+};
+
+/**
+ * Count extended fingers of a hand.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @returns {number} - number of extended fingers (0-5)
+ */
+export const countExtendedFingers = function (landmarks) {
+    return Object.keys(FINGERS)
+        .filter(finger => isFingerExtended(landmarks, finger))
+        .length;
+};
+
+/**
+ * Angle at a landmark between two other landmarks.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @param {number} at - index of the landmark at the vertex
+ * @param {number} a - index of a landmark
+ * @param {number} b - index of the other landmark
+ * @returns {number} - angle in degrees (0-180)
+ */
+export const angleAt = function (landmarks, at, a, b) {
+    return angleBetween(
+        subtract(landmarks[a], landmarks[at]),
+        subtract(landmarks[b], landmarks[at])
+    );
+};
+
+/**
+ * Normalize a vector.
+ * @param {{x: number, y: number, z: number}} v - vector
+ * @returns {{x: number, y: number, z: number}} - unit vector, or zero vector if it has no length
+ */
+const normalize = function (v) {
+    const len = length(v);
+    if (len === 0) return {x: 0, y: 0, z: 0};
+    return {x: v.x / len, y: v.y / len, z: (v.z || 0) / len};
+};
+
+/**
+ * Cross product of two vectors.
+ * @param {{x: number, y: number, z: number}} a - vector
+ * @param {{x: number, y: number, z: number}} b - vector
+ * @returns {{x: number, y: number, z: number}} - cross product
+ */
+const cross = function (a, b) {
+    return {
+        x: (a.y * b.z) - (a.z * b.y),
+        y: (a.z * b.x) - (a.x * b.z),
+        z: (a.x * b.y) - (a.y * b.x)
+    };
+};
+
+/**
+ * Orientation of a hand in 3D.
+ * The landmarks are in the image coordinates of MediaPipe (x: right, y: down, z: away from the camera).
+ * The up direction of the hand is from the wrist to the middle finger MCP,
+ * and the palm normal is taken from the up direction and the line from the index MCP to the pinky MCP.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @param {boolean} isRight - true if MediaPipe classified the hand as right in the image
+ * @returns {{pitch: number, yaw: number, roll: number, palmFacing: boolean}} - angles in degrees
+ *  pitch: positive when the fingers lean toward the camera,
+ *  yaw: 0 when the palm faces the camera, positive when the palm turns to the right,
+ *  roll: 0 when the fingers point up, 90 when they point to the right,
+ *  palmFacing: true if the palm faces the camera
+ */
+export const handOrientation = function (landmarks, isRight) {
+    const up = normalize(subtract(landmarks[9], landmarks[0]));
+    const across = subtract(landmarks[17], landmarks[5]);
+    const normal = normalize(isRight ? cross(across, up) : cross(up, across));
+    const toDegrees = radian => radian * 180 / Math.PI;
+    return {
+        pitch: toDegrees(Math.asin(Math.min(1, Math.max(-1, -up.z)))),
+        yaw: toDegrees(Math.atan2(normal.x, -normal.z)),
+        roll: toDegrees(Math.atan2(up.x, -up.y)),
+        palmFacing: normal.z < 0
+    };
+};
+
+/**
+ * Landmark indices of the palm: the wrist and the MCP joints of the fingers.
+ * @type {Array<number>}
+ */
+export const PALM = [0, 5, 9, 13, 17];
+
+/**
+ * Center of the palm as the average of the wrist and the MCP joints.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 landmarks of a hand
+ * @returns {{x: number, y: number, z: number}} - center of the palm
+ */
+export const palmCenter = function (landmarks) {
+    const sum = PALM.reduce((acc, index) => ({
+        x: acc.x + landmarks[index].x,
+        y: acc.y + landmarks[index].y,
+        z: acc.z + (landmarks[index].z || 0)
+    }), {x: 0, y: 0, z: 0});
+    return {
+        x: sum.x / PALM.length,
+        y: sum.y / PALM.length,
+        z: sum.z / PALM.length
+    };
+};
@@ -1,10 +1,22 @@
-import {HandLandmarker, FilesetResolver} from 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest';
+import {
+    loadVisionTasks,
+    resolveModelURL,
+    cdnModelURL,
+    setAssetBaseURL as setVisionAssetBaseURL,
+    getAssetBaseURL,
+    createWithDelegate,
+    setDelegatePreference
+} from './vision-tasks.js';
 
-const vision = await FilesetResolver.forVisionTasks(
-    'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-);
+/**
+ * Model asset path. It is the self-hosted or the CDN model unless it was set by the user.
+ */
+let modelAssetPath = cdnModelURL('handLandmarker');
 
-let modelAssetPath = `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`;
+/**
+ * Whether the model asset path was set by the user.
+ */
+let customModelAssetPath = false;
 
 /**
  * runningMode: 'IMAGE' or 'VIDEO'
@@ -16,23 +28,171 @@ let runningMode = 'IMAGE';
  */
 let numHands = 4;
 
+/**
+ * Minimum confidence scores (0-1) of the hand landmarker
+ */
+const confidences = {
+    minHandDetectionConfidence: 0.5,
+    minHandPresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5
+};
+
+/**
+ * Processing unit which the hand landmarker is running on: 'CPU', 'GPU' or '' if it is not loaded
+ */
+let activeDelegate = '';
+
+/**
+ * Resolve the model asset path to the self-hosted or the CDN model unless it was set by the user.
+ */
+const resolveModelAssetPath = async function () {
+    if (customModelAssetPath) return;
+    modelAssetPath = await resolveModelURL('handLandmarker');
+};
+
 /**
  * Create video hand landmarker
  * @returns {HandLandmarker} - hand landmarker
  */
 const createImageHandLandmarker = async () => {
-    const marker = await HandLandmarker.createFromOptions(vision, {
-        baseOptions: {
-            modelAssetPath: modelAssetPath,
-            delegate: 'GPU'
-        },
-        runningMode: 'IMAGE',
-        numHands: numHands
-    });
-    return marker;
+    const {tasks, fileset} = await loadVisionTasks();
+    await resolveModelAssetPath();
+    const {task, delegate} = await createWithDelegate(delegateToUse => tasks.HandLandmarker.createFromOptions(
+        fileset,
+        {
+            baseOptions: {
+                modelAssetPath: modelAssetPath,
+                delegate: delegateToUse
+            },
+            runningMode: 'IMAGE',
+            numHands: numHands,
+            ...confidences
+        }
+    ));
+    runningMode = 'IMAGE';
+    activeDelegate = delegate;
+    return task;
 };
 
-let handLandmarker = await createImageHandLandmarker();
+/**
+ * Interval in milliseconds to retry loading automatically after a failure.
+ */
+const RETRY_INTERVAL = 5000;
+
+/**
+ * Status of the hand landmarker: 'unloaded', 'loading', 'ready' or 'error'
+ */
+let modelStatus = 'unloaded';
+
+/**
+ * Message of the last error on loading the hand landmarker
+ */
+let modelError = '';
+
+/**
+ * Time when the last loading failed
+ */
+let failedAt = 0;
+
+/**
+ * Promise of the hand landmarker. It is created on the first use
+ * so that the extension can be loaded even if the model is not available.
+ */
+let handLandmarkerPromise = null;
+
+/**
+ * Listeners which are called when the status changes
+ */
+const statusListeners = [];
+
+/**
+ * Set status of the hand landmarker and notify it to the listeners.
+ * @param {string} status - new status
+ */
+const setModelStatus = function (status) {
+    modelStatus = status;
+    statusListeners.forEach(listener => listener(status));
+};
+
+/**
+ * Load the hand landmarker if it is not loaded or loading.
+ * A failure is not kept, so it is loaded again on the next call.
+ * @returns {Promise<HandLandmarker>} - hand landmarker
+ */
+const loadHandLandmarker = function () {
+    if (!handLandmarkerPromise) {
+        setModelStatus('loading');
+        const promise = createImageHandLandmarker()
+            .then(marker => {
+                if (handLandmarkerPromise === promise) {
+                    modelError = '';
+                    setModelStatus('ready');
+                }
+                return marker;
+            })
+            .catch(error => {
+                if (handLandmarkerPromise === promise) {
+                    handLandmarkerPromise = null;
+                    modelError = error.message;
+                    failedAt = Date.now();
+                    setModelStatus('error');
+                }
+                throw error;
+            });
+        handLandmarkerPromise = promise;
+    }
+    return handLandmarkerPromise;
+};
+
+/**
+ * Get the hand landmarker to use.
+ * It is not loaded again for a while after a failure to avoid requesting on every frame.
+ * @returns {Promise<HandLandmarker>} - hand landmarker
+ */
+const getHandLandmarker = function () {
+    if (modelStatus === 'error' && Date.now() - failedAt < RETRY_INTERVAL) {
+        return Promise.reject(new Error(modelError));
+    }
+    return loadHandLandmarker();
+};
+
+/**
+ * Load the hand landmarker again with the current settings.
+ * @returns {Promise<HandLandmarker>} - hand landmarker
+ */
+const reloadHandLandmarker = function () {
+    handLandmarkerPromise = null;
+    return loadHandLandmarker();
+};
+
+/**
+ * Get status of the hand landmarker
+ * @returns {string} - 'unloaded', 'loading', 'ready' or 'error'
+ */
+const getModelStatus = function () {
+    return modelStatus;
+};
+
+/**
+ * Get message of the last error on loading the hand landmarker
+ * @returns {string} - error message, empty if no error
+ */
+const getModelError = function () {
+    return modelError;
+};
+
+/**
+ * Add a listener which is called with the new status when the status changes
+ * @param {function} listener - listener of the status
+ * @returns {function} - function to remove the listener
+ */
+const onModelStatusChange = function (listener) {
+    statusListeners.push(listener);
+    return () => {
+        const index = statusListeners.indexOf(listener);
+        if (index >= 0) statusListeners.splice(index, 1);
+    };
+};
 
 /**
  * Detect hands
@@ -40,9 +200,7 @@ let handLandmarker = await createImageHandLandmarker();
  * @returns {HandLandmarkerResult} - hand landmark result
  */
 const detect = async function (image) {
-    if (!handLandmarker) {
-        throw new Error('HandLandmarker has not been initialized.');
-    }
+    const handLandmarker = await getHandLandmarker();
     if (runningMode !== 'IMAGE') {
         runningMode = 'IMAGE';
         await handLandmarker.setOptions({runningMode: 'IMAGE'});
@@ -51,15 +209,26 @@ const detect = async function (image) {
     return handLandmarkerResult;
 };
 
+/**
+ * Timestamp of the last frame in milliseconds which was given to the detection for video.
+ */
+let lastVideoTimestamp = -1;
+
+/**
+ * Detect hands in a frame of a video.
+ * The landmarker tracks the hands from the previous frames, so it is faster and steadier than detect().
+ * @param {ImageData|HTMLVideoElement} video - frame of the video
+ * @returns {HandLandmarkerResult} - hand landmark result
+ */
 const detectForVideo = async function (video) {
-    if (!handLandmarker) {
-        throw new Error('HandLandmarker has not been initialized.');
-    }
+    const handLandmarker = await getHandLandmarker();
     if (runningMode !== 'VIDEO') {
         runningMode = 'VIDEO';
         await handLandmarker.setOptions({runningMode: 'VIDEO'});
     }
-    const timestamp = performance.now();
+    // Timestamps must increase monotonically for the tracking.
+    const timestamp = Math.max(performance.now(), lastVideoTimestamp + 1);
+    lastVideoTimestamp = timestamp;
     const handLandmarkerResult = handLandmarker.detectForVideo(video, timestamp);
     return handLandmarkerResult;
 };
@@ -70,7 +239,35 @@ const detectForVideo = async function (video) {
  */
 const setModelAssetPath = async function (path) {
     modelAssetPath = path;
-    handLandmarker = await createImageHandLandmarker();
+    customModelAssetPath = true;
+    await reloadHandLandmarker();
+};
+
+/**
+ * Set base URL of the self-hosted MediaPipe assets and reload the hand landmarker from there.
+ * @param {string} url - base URL, an empty string resets it to the default
+ */
+const setAssetBaseURL = async function (url) {
+    setVisionAssetBaseURL(url);
+    await reloadHandLandmarker();
+};
+
+/**
+ * Set processing unit and reload the hand landmarker if it was loaded.
+ * @param {string} delegate - 'auto', 'CPU' or 'GPU'
+ */
+const setDelegate = async function (delegate) {
+    setDelegatePreference(delegate);
+    if (modelStatus === 'unloaded') return;
+    await reloadHandLandmarker();
+};
+
+/**
+ * Get processing unit which the hand landmarker is running on
+ * @returns {string} - 'CPU', 'GPU' or '' if it is not loaded
+ */
+const getDelegate = function () {
+    return activeDelegate;
 };
 
 /**
@@ -79,7 +276,8 @@ const setModelAssetPath = async function (path) {
  */
 const setNumHands = async function (num) {
     numHands = num;
-    if (handLandmarker) {
+    if (modelStatus === 'ready') {
+        const handLandmarker = await handLandmarkerPromise;
         await handLandmarker.setOptions({numHands: numHands});
     }
 };
@@ -92,4 +290,48 @@ const getNumHands = function () {
     return numHands;
 };
 
-export {detect, detectForVideo, setModelAssetPath, modelAssetPath, setNumHands, getNumHands};
+/**
+ * Set a minimum confidence score of the hand landmarker.
+ * It is applied to the loaded hand landmarker without rebuilding the model.
+ * @param {string} name - 'minHandDetectionConfidence', 'minHandPresenceConfidence' or 'minTrackingConfidence'
+ * @param {number} value - confidence score (0-1)
+ */
+const setConfidence = async function (name, value) {
+    if (!Object.prototype.hasOwnProperty.call(confidences, name)) {
+        throw new Error(`Unknown confidence: ${name}`);
+    }
+    confidences[name] = value;
+    if (modelStatus === 'ready') {
+        const handLandmarker = await handLandmarkerPromise;
+        await handLandmarker.setOptions({[name]: value});
+    }
+};
+
+/**
+ * Get a minimum confidence score of the hand landmarker
+ * @param {string} name - 'minHandDetectionConfidence', 'minHandPresenceConfidence' or 'minTrackingConfidence'
+ * @returns {number?} - confidence score (0-1), null if the name is not a confidence
+ */
+const getConfidence = function (name) {
+    if (!Object.prototype.hasOwnProperty.call(confidences, name)) return null;
+    return confidences[name];
+};
+
+export {
+    detect,
+    detectForVideo,
+    setModelAssetPath,
+    modelAssetPath,
+    setNumHands,
+    getNumHands,
+    setAssetBaseURL,
+    getAssetBaseURL,
+    loadHandLandmarker,
+    getModelStatus,
+    getModelError,
+    onModelStatusChange,
+    setDelegate,
+    getDelegate,
+    setConfidence,
+    getConfidence
+};
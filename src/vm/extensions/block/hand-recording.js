@@ -0,0 +1,213 @@
+/**
+ * This module records the results of the hand detection to replay them later.
+ * A recording is a list of the timestamped results which are given to the extension,
+ * so that the replayed results go through the same processing as the detected ones.
+ * @module hand-recording
+ */
+
+/**
+ * Version of the format of the recordings.
+ * @type {number}
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ * Maximum length of a recording in milliseconds.
+ * A recording is stored in the project, and a second of two hands at 30 fps takes about 200 KB.
+ * @type {number}
+ */
+export const MAX_RECORDING_DURATION = 30000;
+
+/**
+ * Precision of the numbers in the recordings to keep them small.
+ * @type {number}
+ */
+const PRECISION = 100000;
+
+/**
+ * Round all the numbers in a value.
+ * @param {*} value - value to round
+ * @returns {*} - a copy of the value which has the rounded numbers
+ */
+const roundNumbers = function (value) {
+    if (typeof value === 'number') {
+        return Math.round(value * PRECISION) / PRECISION;
+    }
+    if (Array.isArray(value)) {
+        return value.map(roundNumbers);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((rounded, key) => {
+            rounded[key] = roundNumbers(value[key]);
+            return rounded;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Recorder of the results of the hand detection.
+ */
+export class HandRecorder {
+    /**
+     * Construct a recorder.
+     * @param {number} [maxDuration] - maximum length of a recording in milliseconds
+     */
+    constructor (maxDuration = MAX_RECORDING_DURATION) {
+        /**
+         * Maximum length of a recording in milliseconds.
+         * @type {number}
+         */
+        this.maxDuration = maxDuration;
+
+        /**
+         * The recorded frames, null while not recording.
+         * @type {Array<object>?}
+         */
+        this.frames = null;
+
+        /**
+         * The time when the recording started in milliseconds.
+         * @type {number}
+         */
+        this.startTime = 0;
+    }
+
+    /**
+     * Whether it is recording.
+     * @returns {boolean} - true if it is recording
+     */
+    isRecording () {
+        return this.frames !== null;
+    }
+
+    /**
+     * Whether the recording reached the maximum length.
+     * @param {number} now - the current time in milliseconds
+     * @returns {boolean} - true if no more frames can be recorded
+     */
+    isFull (now) {
+        return this.isRecording() && now - this.startTime >= this.maxDuration;
+    }
+
+    /**
+     * Start a new recording. The frames which were recorded are discarded.
+     * @param {number} now - the current time in milliseconds
+     */
+    start (now) {
+        this.frames = [];
+        this.startTime = now;
+    }
+
+    /**
+     * Record a result if it is recording and the recording is shorter than the maximum length.
+     * Only the data which is used by the extension is kept.
+     * @param {HandLandmarkerResult?} result - the result of the hand landmarker
+     * @param {GestureRecognizerResult?} gestureResult - the result of the gesture recognizer
+     * @param {object} frame - how the image was taken
+     * @param {number} now - the current time in milliseconds
+     */
+    record (result, gestureResult, frame, now) {
+        if (!this.frames || now - this.startTime > this.maxDuration) return;
+        this.frames.push(roundNumbers({
+            time: now - this.startTime,
+            result: result ? {
+                landmarks: result.landmarks,
+                worldLandmarks: result.worldLandmarks,
+                handednesses: result.handednesses
+            } : null,
+            gestureResult: gestureResult ? {
+                gestures: gestureResult.gestures,
+                landmarks: gestureResult.landmarks
+            } : null,
+            frame: frame
+        }));
+    }
+
+    /**
+     * Stop the recording.
+     * @returns {{version: number, frames: Array<object>}?} - the recording, null if it was not recording
+     */
+    stop () {
+        if (!this.frames) return null;
+        const recording = {version: RECORDING_VERSION, frames: this.frames};
+        this.frames = null;
+        return recording;
+    }
+}
+
+/**
+ * Check if the points are the 21 landmarks of a hand.
+ * @param {*} points - the points to check
+ * @returns {boolean} - true if they are 21 points which have numeric x and y
+ */
+const isLandmarks = function (points) {
+    return Array.isArray(points) && points.length === 21 &&
+        points.every(point => point && typeof point.x === 'number' && typeof point.y === 'number');
+};
+
+/**
+ * Check if a result has all the data which the extension uses for each hand.
+ * @param {HandLandmarkerResult?} result - the result of the hand landmarker
+ * @returns {boolean} - true if the result is null or has the landmarks, the world landmarks and the handedness
+ *  of each hand
+ */
+const isValidResult = function (result) {
+    if (result === null || typeof result === 'undefined') return true;
+    const {landmarks, worldLandmarks, handednesses} = result;
+    if (!Array.isArray(landmarks) || !Array.isArray(worldLandmarks) || !Array.isArray(handednesses)) return false;
+    if (landmarks.length !== handednesses.length || worldLandmarks.length !== handednesses.length) return false;
+    return handednesses.every((handedness, handIndex) =>
+        Array.isArray(handedness) && handedness[0] && typeof handedness[0].categoryName === 'string' &&
+        isLandmarks(landmarks[handIndex]) && isLandmarks(worldLandmarks[handIndex]));
+};
+
+/**
+ * Check if a result of the gesture recognizer has the gestures and the landmarks of each hand.
+ * @param {GestureRecognizerResult?} gestureResult - the result of the gesture recognizer
+ * @returns {boolean} - true if the result is null or has the categories and the landmarks of each hand
+ */
+const isValidGestureResult = function (gestureResult) {
+    if (gestureResult === null || typeof gestureResult === 'undefined') return true;
+    const {gestures, landmarks} = gestureResult;
+    if (!Array.isArray(gestures) || !Array.isArray(landmarks) || gestures.length !== landmarks.length) return false;
+    return gestures.every((categories, handIndex) =>
+        Array.isArray(categories) && isLandmarks(landmarks[handIndex]));
+};
+
+/**
+ * Check if the description of how the image was taken can be given to the extension.
+ * @param {object} frame - how the image was taken
+ * @returns {boolean} - true if it is not given or an object whose width and height are numbers if they are given
+ */
+const isValidFrame = function (frame) {
+    if (frame === null || typeof frame === 'undefined') return true;
+    if (typeof frame !== 'object') return false;
+    return ['width', 'height'].every(key =>
+        typeof frame[key] === 'undefined' || frame[key] === null || typeof frame[key] === 'number');
+};
+
+/**
+ * Check a recording which came from outside of the recorder.
+ * @param {object} recording - the recording to check
+ * @returns {{version: number, frames: Array<object>}} - the recording
+ * @throws {Error} - if it is not a recording which can be replayed
+ */
+export const validateRecording = function (recording) {
+    if (!recording || !Array.isArray(recording.frames) ||
+        !recording.frames.every(frame => frame && typeof frame.time === 'number' &&
+            isValidResult(frame.result) && isValidGestureResult(frame.gestureResult) && isValidFrame(frame.frame))) {
+        throw new Error('Invalid recording');
+    }
+    return recording;
+};
+
+/**
+ * Parse a recording from JSON.
+ * @param {string} text - JSON of a recording
+ * @returns {{version: number, frames: Array<object>}} - the recording
+ * @throws {Error} - if the text is not a recording
+ */
+export const parseRecording = function (text) {
+    return validateRecording(JSON.parse(text));
+};
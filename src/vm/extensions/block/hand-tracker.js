@@ -0,0 +1,119 @@
+/**
+ * This module provides a tracker which gives persistent IDs to the hands across detections.
+ * MediaPipe returns the hands in a different order in each frame,
+ * so the hands are matched to the previous ones by their position and handedness.
+ * @module hand-tracker
+ */
+
+/**
+ * Maximum distance in the normalized image coordinates to match a hand with a previous one.
+ * @type {number}
+ */
+const MAX_MATCH_DISTANCE = 0.2;
+
+/**
+ * Cost which is added to a match when the handedness is different.
+ * It is not a hard constraint because the handedness of MediaPipe sometimes flips for a moment.
+ * @type {number}
+ */
+const HANDEDNESS_PENALTY = 0.1;
+
+/**
+ * Number of updates to keep a lost hand to give back its ID when it is detected again.
+ * @type {number}
+ */
+const MAX_MISSED_UPDATES = 5;
+
+/**
+ * Center of the landmarks of a hand.
+ * @param {Array<{x: number, y: number}>} landmarks - landmarks of a hand
+ * @returns {{x: number, y: number}} - center in the normalized image coordinates
+ */
+const centerOf = function (landmarks) {
+    const sum = landmarks.reduce((acc, landmark) => ({
+        x: acc.x + landmark.x,
+        y: acc.y + landmark.y
+    }), {x: 0, y: 0});
+    return {
+        x: sum.x / landmarks.length,
+        y: sum.y / landmarks.length
+    };
+};
+
+/**
+ * Tracker of hands which gives each hand a persistent ID.
+ */
+export class HandTracker {
+    /**
+     * Construct a tracker.
+     */
+    constructor () {
+        /**
+         * The hands which were tracked.
+         * @type {Array<{id: number, handedness: string, center: {x: number, y: number}, missed: number}>}
+         */
+        this.tracks = [];
+
+        /**
+         * The ID for the next new hand.
+         * @type {number}
+         */
+        this.nextId = 1;
+    }
+
+    /**
+     * Forget all the tracked hands. IDs are not reused.
+     */
+    reset () {
+        this.tracks = [];
+    }
+
+    /**
+     * Match the detected hands to the tracked hands and get their IDs.
+     * The pairs of the least cost are matched first. A hand which does not match any gets a new ID.
+     * @param {?HandLandmarkerResult} result - the result of the hand landmarker
+     * @returns {Array<number>} - ID of each hand in the order of the result
+     */
+    update (result) {
+        const hands = (result && result.handednesses) ?
+            result.handednesses.map((handedness, handIndex) => ({
+                handedness: handedness[0].categoryName,
+                center: centerOf(result.landmarks[handIndex])
+            })) :
+            [];
+        const pairs = [];
+        hands.forEach((hand, handIndex) => {
+            this.tracks.forEach((track, trackIndex) => {
+                const dist = Math.hypot(hand.center.x - track.center.x, hand.center.y - track.center.y);
+                if (dist > MAX_MATCH_DISTANCE) return;
+                const cost = dist + (hand.handedness === track.handedness ? 0 : HANDEDNESS_PENALTY);
+                pairs.push({handIndex, trackIndex, cost});
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+        const ids = new Array(hands.length).fill(null);
+        const matchedTracks = new Set();
+        pairs.forEach(pair => {
+            if (ids[pair.handIndex] !== null || matchedTracks.has(pair.trackIndex)) return;
+            ids[pair.handIndex] = this.tracks[pair.trackIndex].id;
+            matchedTracks.add(pair.trackIndex);
+        });
+        const tracks = this.tracks
+            .filter((track, trackIndex) => !matchedTracks.has(trackIndex))
+            .map(track => Object.assign({}, track, {missed: track.missed + 1}))
+            .filter(track => track.missed <= MAX_MISSED_UPDATES);
+        hands.forEach((hand, handIndex) => {
+            if (ids[handIndex] === null) {
+                ids[handIndex] = this.nextId++;
+            }
+            tracks.push({
+                id: ids[handIndex],
+                handedness: hand.handedness,
+                center: hand.center,
+                missed: 0
+            });
+        });
+        this.tracks = tracks;
+        return ids;
+    }
+}
@@ -1,11 +1,66 @@
 import BlockType from '../../extension-support/block-type';
 import ArgumentType from '../../extension-support/argument-type';
+import TargetType from '../../extension-support/target-type';
 import Cast from '../../util/cast';
 import translations from './translations.json';
 import blockIcon from './block-icon.png';
 // import Video from '../../io/video';
-import {detect, setModelAssetPath, modelAssetPath, setNumHands, getNumHands} from './hand-landmarker.js';
-import {getCostumeByNameOrNumber, costumeToDataURL} from './costume-util.js';
+import {
+    detect,
+    detectForVideo,
+    setModelAssetPath,
+    modelAssetPath,
+    setNumHands,
+    getNumHands,
+    setAssetBaseURL,
+    getAssetBaseURL,
+    loadHandLandmarker,
+    getModelStatus,
+    getModelError,
+    onModelStatusChange,
+    setDelegate,
+    getDelegate,
+    setConfidence,
+    getConfidence
+} from './hand-landmarker.js';
+import {
+    recognize,
+    setGestureModelAssetPath,
+    getGestureModelAssetPath,
+    setGestureNumHands,
+    resetGestureRecognizer
+} from './gesture-recognizer.js';
+import {
+    getCostumeByNameOrNumber,
+    costumeToDataURL,
+    insertImageAsSvgCostume,
+    addImageAsCostume
+} from './costume-util.js';
+import {
+    isFinger,
+    HAND_CONNECTIONS,
+    fingerCurl,
+    isFingerExtended,
+    countExtendedFingers,
+    distance,
+    angleAt,
+    handOrientation,
+    palmCenter
+} from './hand-geometry.js';
+import {LandmarksFilter, smoothingToParameters} from './landmark-filter.js';
+import {HandTracker} from './hand-tracker.js';
+import {FrameFit, fitFrameSize} from './frame-fit.js';
+import {SkeletonOverlay} from './skeleton-overlay.js';
+import {skeletonToSVG} from './skeleton-svg.js';
+import {HandRecorder, parseRecording, validateRecording} from './hand-recording.js';
+import {
+    resultToRecording,
+    recordingToCSV,
+    parseHandsFile,
+    downloadTextFile,
+    openTextFile
+} from './hand-data-file.js';
+import {PoseClassifier, normalizePose} from './pose-classifier.js';
 
 /**
  * States the video sensing activity can be set to.
@@ -23,7 +78,61 @@ const VideoState = {
     ON_FLIPPED: 'on-flipped'
 };
 
-const Runtime = {PROJECT_LOADED: 'PROJECT_LOADED'};
+const Runtime = {
+    PROJECT_LOADED: 'PROJECT_LOADED',
+    // Emitted at the start of each frame by the runtimes which support it (e.g. TurboWarp).
+    BEFORE_EXECUTE: 'BEFORE_EXECUTE',
+    PROJECT_STOP_ALL: 'PROJECT_STOP_ALL',
+    RUNTIME_DISPOSED: 'RUNTIME_DISPOSED'
+};
+
+/**
+ * Hands which can be selected instead of a hand number.
+ * @readonly
+ * @enum {string}
+ */
+const HandSelector = {
+    /** The left hand from the point of view to report handedness. */
+    LEFT: 'left',
+
+    /** The right hand from the point of view to report handedness. */
+    RIGHT: 'right',
+
+    /** The hand on the left side of the stage. */
+    LEFT_MOST: 'leftmost',
+
+    /** The hand which looks the largest on camera. */
+    CLOSEST: 'closest'
+};
+
+/**
+ * Sources of the hand results.
+ * @readonly
+ * @enum {string}
+ */
+const HandSource = {
+    /** The continuous detection on the camera. */
+    CAMERA: 'camera',
+
+    /** The replay of a recording. */
+    REPLAY: 'replay',
+
+    /** A one-off detection on the stage or a costume. */
+    IMAGE: 'image'
+};
+
+/**
+ * Ways to schedule the detection on camera.
+ * @readonly
+ * @enum {string}
+ */
+const DetectionScheduling = {
+    /** Detect at the interval time. */
+    INTERVAL: 'interval',
+
+    /** Detect once in each frame of the runtime. */
+    FRAME: 'frame'
+};
 
 /**
  * Formatter which is used for translation.
@@ -48,6 +157,58 @@ const setupTranslations = () => {
 
 const EXTENSION_ID = 'xcxMPHand';
 
+/**
+ * Maximum width of the camera frame to detect hands.
+ * Larger frames are scaled down keeping the aspect ratio.
+ * @type {number}
+ */
+const MAX_CAMERA_FRAME_WIDTH = 640;
+
+/**
+ * Get the handednesses which are more in the list than in the other list.
+ * @param {Array<string>} handednesses - the list of handedness
+ * @param {Array<string>} others - the other list of handedness
+ * @returns {Array<string>} - the handednesses which increased
+ */
+const countUpHandednesses = function (handednesses, others) {
+    const rest = others.slice();
+    return handednesses.filter(handedness => {
+        const index = rest.indexOf(handedness);
+        if (index < 0) return true;
+        rest.splice(index, 1);
+        return false;
+    });
+};
+
+/**
+ * Spacing in the stage unit of the points to hit-test along the bones of a hand.
+ * @type {number}
+ */
+const TOUCH_SAMPLE_SPACING = 4;
+
+/**
+ * Margin in the stage unit around a hand in a costume of the hand pose.
+ * @type {number}
+ */
+const POSE_COSTUME_MARGIN = 10;
+
+/**
+ * Pixels per stage unit of the images captured from the camera.
+ * @type {number}
+ */
+const CAPTURE_RESOLUTION = 2;
+
+/**
+ * Get the handedness of the other side.
+ * @param {string} handedness - 'Left' or 'Right'
+ * @returns {string} - 'Right' for 'Left', 'Left' for 'Right', the same for the others
+ */
+const oppositeHandedness = function (handedness) {
+    if (handedness === 'Left') return 'Right';
+    if (handedness === 'Right') return 'Left';
+    return handedness;
+};
+
 /**
  * URL to get this extension as a module.
  * When it was loaded as a module, 'extensionURL' will be replaced a URL which is retrieved from.
@@ -138,6 +299,122 @@ class ExtensionBlocks {
          */
         this.hands = null;
 
+        /**
+         * The recognized gestures data from MediaPipe gesture recognizer.
+         * @type {object?}
+         */
+        this.gestures = null;
+
+        /**
+         * A flag to determine if gestures are recognized with hand detection.
+         * It is set to true when a gesture block is used at first.
+         * @type {boolean}
+         */
+        this.gestureRecognizing = false;
+
+        /**
+         * The handednesses which appeared at the last change of the detected hands.
+         * @type {Array<string>}
+         */
+        this.appearedHandednesses = [];
+
+        /**
+         * The handednesses which disappeared at the last change of the detected hands.
+         * @type {Array<string>}
+         */
+        this.disappearedHandednesses = [];
+
+        /**
+         * The distance in centimeters between the thumb tip and the index finger tip to be a pinch.
+         * @type {number}
+         */
+        this.pinchThreshold = 3;
+
+        /**
+         * A flag which is true when a hand started pinching at the last change of the detected hands.
+         * @type {boolean}
+         */
+        this.pinchStarted = false;
+
+        /**
+         * A flag which is true when a hand ended pinching at the last change of the detected hands.
+         * @type {boolean}
+         */
+        this.pinchEnded = false;
+
+        /**
+         * The smoothing level of the landmarks (0: no smoothing - 100: strongest).
+         * @type {number}
+         */
+        this.smoothing = 0;
+
+        /**
+         * The filters to smooth the landmarks of each hand by the hand ID.
+         * @type {Object<number, object>}
+         */
+        this.handFilters = {};
+
+        /**
+         * The source of the last hand results to reset the filters when it changes.
+         * @type {HandSource?}
+         */
+        this.handSource = null;
+
+        /**
+         * The tracker which gives persistent IDs to the hands.
+         * @type {HandTracker}
+         */
+        this.handTracker = new HandTracker();
+
+        /**
+         * The ID of each detected hand in the order of the result.
+         * @type {Array<number>}
+         */
+        this.handIds = [];
+
+        /**
+         * What the hand number of the blocks means ('order': order of the detection, 'id': hand ID).
+         * @type {string}
+         */
+        this.handNumberMode = 'order';
+
+        /**
+         * Whether the image of the current result was a mirrored view of the user.
+         * MediaPipe classifies handedness assuming that the image is mirrored.
+         * @type {boolean}
+         */
+        this.frameMirrored = true;
+
+        /**
+         * Whether the x of the current result must be flipped to match the stage.
+         * @type {boolean}
+         */
+        this.flipX = false;
+
+        /**
+         * Point of view to report handedness ('user' or 'camera').
+         * @type {string}
+         */
+        this.handednessView = 'user';
+
+        /**
+         * Size of the image of the current result.
+         * @type {{width: number, height: number}}
+         */
+        this.frameSize = {width: 480, height: 360};
+
+        /**
+         * How the image of the current result is fitted on the stage.
+         * @type {FrameFit}
+         */
+        this.frameFit = FrameFit.STRETCH;
+
+        /**
+         * How the camera frame is fitted on the stage.
+         * @type {FrameFit}
+         */
+        this.cameraFit = FrameFit.STRETCH;
+
         /**
          * The interval ID for the detection loop.
          * @type {number}
@@ -150,6 +427,92 @@ class ExtensionBlocks {
          */
         this.detectionIntervalTime = 100;
 
+        /**
+         * How to schedule the detection on camera.
+         * @type {DetectionScheduling}
+         */
+        this.detectionScheduling = DetectionScheduling.INTERVAL;
+
+        /**
+         * The result of the detection on camera which waits for the next frame to be stored.
+         * @type {object?}
+         */
+        this.pendingDetection = null;
+
+        /**
+         * Whether a detection on camera is running.
+         * @type {boolean}
+         */
+        this.frameDetecting = false;
+
+        /**
+         * The number of the stopped detection loops.
+         * A loop runs only while it is the same as when the loop started,
+         * so that a detection which was running at the stop does not continue the stopped loop.
+         * @type {number}
+         */
+        this.detectionLoopGeneration = 0;
+
+        /**
+         * Whether the runtime emits an event at the start of each frame.
+         * @type {boolean}
+         */
+        this.frameEventSupported = false;
+
+        /**
+         * The overlay which shows the skeletons of the hands on the stage.
+         * @type {SkeletonOverlay}
+         */
+        this.skeletonOverlay = new SkeletonOverlay(this.runtime);
+
+        /**
+         * The recorder of the results which are given to updateHands.
+         * @type {HandRecorder}
+         */
+        this.handRecorder = new HandRecorder();
+
+        /**
+         * The timer ID to replay the next frame of a recording, null while not replaying.
+         * @type {number?}
+         */
+        this.replayTimer = null;
+
+        /**
+         * The name of the recording which is being recorded.
+         * @type {string}
+         */
+        this.recordingName = '';
+
+        /**
+         * The classifier of the poses which the user taught.
+         * @type {PoseClassifier}
+         */
+        this.poseClassifier = new PoseClassifier();
+
+        /**
+         * The function to stop listening to the status of the model, null while not listening.
+         * @type {function?}
+         */
+        this.unsubscribeModelStatus = null;
+
+        this.addModelStatusListener();
+        // The model is shared by the module, so the listener must not outlive the project.
+        // The runtime is disposed before loading each project, so it listens again to the loaded project.
+        this.runtime.on(Runtime.RUNTIME_DISPOSED, () => this.removeModelStatusListener());
+        this.runtime.on(Runtime.PROJECT_LOADED, () => this.addModelStatusListener());
+
+        this.runtime.on(Runtime.PROJECT_STOP_ALL, () => {
+            this.stopReplaying();
+            this.stopRecordingHands();
+        });
+
+        this.runtime.on(Runtime.BEFORE_EXECUTE, () => {
+            this.frameEventSupported = true;
+            if (this.handDetecting && this.detectionScheduling === DetectionScheduling.FRAME) {
+                this.detectOnFrame();
+            }
+        });
+
         if (this.runtime.ioDevices) {
             // Configure the video device with values from globally stored locations.
             this.runtime.on(Runtime.PROJECT_LOADED, this.updateVideoDisplay.bind(this));
@@ -253,6 +616,27 @@ class ExtensionBlocks {
         });
     }
 
+    /**
+     * Start the hats when the model gets ready. It does nothing if it is already listening.
+     */
+    addModelStatusListener () {
+        if (this.unsubscribeModelStatus) return;
+        this.unsubscribeModelStatus = onModelStatusChange(status => {
+            if (status === 'ready') {
+                this.runtime.startHats(`${EXTENSION_ID}_whenModelReady`);
+            }
+        });
+    }
+
+    /**
+     * Stop listening to the status of the model.
+     */
+    removeModelStatusListener () {
+        if (!this.unsubscribeModelStatus) return;
+        this.unsubscribeModelStatus();
+        this.unsubscribeModelStatus = null;
+    }
+
     /**
      * Get the latest values for video transparency and state,
      * and set the video device to use them.
@@ -282,6 +666,77 @@ class ExtensionBlocks {
         return menu;
     }
 
+    getTouchPartMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.touchPartMenu.any',
+                    default: 'any part'
+                }),
+                value: 'any'
+            }
+        ].concat(this.getLandmarkMenu());
+    }
+
+    getSpriteMenu () {
+        const menu = [
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.spriteMenu.myself',
+                    default: 'this sprite'
+                }),
+                value: '_myself_'
+            }
+        ];
+        const editingTarget = this.runtime.getEditingTarget ? this.runtime.getEditingTarget() : null;
+        (this.runtime.targets || []).forEach(target => {
+            if (!target.isOriginal || target.isStage || target === editingTarget) return;
+            menu.push({
+                text: target.sprite.name,
+                value: target.sprite.name
+            });
+        });
+        return menu;
+    }
+
+    getListMenu () {
+        const names = [];
+        const stage = this.runtime.getTargetForStage();
+        const editingTarget = this.runtime.getEditingTarget ? this.runtime.getEditingTarget() : null;
+        [stage, editingTarget].forEach(target => {
+            if (!target || !target.variables) return;
+            Object.values(target.variables).forEach(variable => {
+                if (variable.type !== 'list' || names.includes(variable.name)) return;
+                names.push(variable.name);
+            });
+        });
+        if (names.length === 0) {
+            return [
+                {
+                    text: formatMessage({
+                        id: 'xcxMPHand.listMenu.none',
+                        default: '(no lists)'
+                    }),
+                    value: ''
+                }
+            ];
+        }
+        return names.map(name => ({text: name, value: name}));
+    }
+
+    getHandsDataMenu () {
+        const menu = [
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.handsDataMenu.current',
+                    default: 'current hands'
+                }),
+                value: '_current_'
+            }
+        ];
+        return menu.concat(this.recordingNames().map(name => ({text: name, value: name})));
+    }
+
     getLandmarkMenu () {
         const landmarks = [
             {
@@ -435,65 +890,269 @@ class ExtensionBlocks {
         return landmarks;
     }
 
-    /**
-     * @returns {object} metadata for this extension and its blocks.
-     */
-    getInfo () {
-        // Set the video display properties to defaults the first time
-        // getInfo is run. This turns on the video device when it is
-        // first added to a project, and is overwritten by a PROJECT_LOADED
-        // event listener that later calls updateVideoDisplay
-        if (this.firstInstall) {
-            this.globalVideoState = VideoState.OFF;
-            this.globalVideoTransparency = 50;
-            this.updateVideoDisplay();
-            this.firstInstall = false;
+    getHandMenu () {
+        const numbers = [];
+        for (let number = 1; number <= Math.max(getNumHands(), 1); number++) {
+            numbers.push({text: `${number}`, value: `${number}`});
         }
-        setupTranslations();
-        return {
-            id: ExtensionBlocks.EXTENSION_ID,
-            name: ExtensionBlocks.EXTENSION_NAME,
-            extensionURL: ExtensionBlocks.extensionURL,
-            blockIconURI: blockIcon,
-            showStatusButton: false,
-            blocks: [
-                {
-                    opcode: 'startHandDetection',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'xcxMPHand.startHandDetection',
-                        default: 'start hand detection on camera',
-                        description: 'start hand detection on video camera'
-                    }),
-                    arguments: {
-                    }
-                },
-                {
-                    opcode: 'stopHandDetection',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'xcxMPHand.stopHandDetection',
-                        default: 'stop hand detection'
-                    })
-                },
-                {
-                    opcode: 'isHandDetecting',
-                    blockType: BlockType.BOOLEAN,
-                    text: formatMessage({
-                        id: 'xcxMPHand.isHandDetecting',
-                        default: 'is hand detecting'
-                    })
-                },
-                {
-                    opcode: 'getDetectionIntervalTime',
-                    blockType: BlockType.REPORTER,
-                    disableMonitor: true,
-                    text: formatMessage({
-                        id: 'xcxMPHand.getDetectionIntervalTime',
-                        default: 'hand detection interval time'
-                    })
-                },
-                {
+        return numbers.concat([
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.handMenu.left',
+                    default: 'left'
+                }),
+                value: HandSelector.LEFT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.handMenu.right',
+                    default: 'right'
+                }),
+                value: HandSelector.RIGHT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.handMenu.leftMost',
+                    default: 'left-most on screen'
+                }),
+                value: HandSelector.LEFT_MOST
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.handMenu.closest',
+                    default: 'closest to camera'
+                }),
+                value: HandSelector.CLOSEST
+            }
+        ]);
+    }
+
+    getFingerMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.fingerMenu.thumb',
+                    default: 'thumb'
+                }),
+                value: 'thumb'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.fingerMenu.index',
+                    default: 'index finger'
+                }),
+                value: 'index'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.fingerMenu.middle',
+                    default: 'middle finger'
+                }),
+                value: 'middle'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.fingerMenu.ring',
+                    default: 'ring finger'
+                }),
+                value: 'ring'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.fingerMenu.pinky',
+                    default: 'pinky finger'
+                }),
+                value: 'pinky'
+            }
+        ];
+    }
+
+    getGestureMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.closedFist',
+                    default: 'closed fist'
+                }),
+                value: 'Closed_Fist'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.openPalm',
+                    default: 'open palm'
+                }),
+                value: 'Open_Palm'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.pointingUp',
+                    default: 'pointing up'
+                }),
+                value: 'Pointing_Up'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.thumbUp',
+                    default: 'thumb up'
+                }),
+                value: 'Thumb_Up'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.thumbDown',
+                    default: 'thumb down'
+                }),
+                value: 'Thumb_Down'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.victory',
+                    default: 'victory'
+                }),
+                value: 'Victory'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.iLoveYou',
+                    default: 'I love you'
+                }),
+                value: 'ILoveYou'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxMPHand.gestureMenu.none',
+                    default: 'none'
+                }),
+                value: 'None'
+            }
+        ];
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        // Set the video display properties to defaults the first time
+        // getInfo is run. This turns on the video device when it is
+        // first added to a project, and is overwritten by a PROJECT_LOADED
+        // event listener that later calls updateVideoDisplay
+        if (this.firstInstall) {
+            this.globalVideoState = VideoState.OFF;
+            this.globalVideoTransparency = 50;
+            this.updateVideoDisplay();
+            this.firstInstall = false;
+        }
+        setupTranslations();
+        return {
+            id: ExtensionBlocks.EXTENSION_ID,
+            name: ExtensionBlocks.EXTENSION_NAME,
+            extensionURL: ExtensionBlocks.extensionURL,
+            blockIconURI: blockIcon,
+            showStatusButton: false,
+            blocks: [
+                {
+                    opcode: 'startHandDetection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.startHandDetection',
+                        default: 'start hand detection on camera',
+                        description: 'start hand detection on video camera'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'stopHandDetection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.stopHandDetection',
+                        default: 'stop hand detection'
+                    })
+                },
+                {
+                    opcode: 'isHandDetecting',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isHandDetecting',
+                        default: 'is hand detecting'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'whenModelReady',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenModelReady',
+                        default: 'when hand model is ready'
+                    })
+                },
+                {
+                    opcode: 'loadModel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.loadModel',
+                        default: 'load hand model'
+                    })
+                },
+                {
+                    opcode: 'isModelReady',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isModelReady',
+                        default: 'is hand model ready'
+                    })
+                },
+                {
+                    opcode: 'modelStatus',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.modelStatus',
+                        default: 'hand model status'
+                    })
+                },
+                {
+                    opcode: 'modelError',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.modelError',
+                        default: 'last error of hand model'
+                    })
+                },
+                {
+                    opcode: 'setProcessingUnit',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setProcessingUnit',
+                        default: 'set processing unit to [DELEGATE]'
+                    }),
+                    arguments: {
+                        DELEGATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'delegateMenu',
+                            defaultValue: 'auto'
+                        }
+                    }
+                },
+                {
+                    opcode: 'processingUnit',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.processingUnit',
+                        default: 'processing unit'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'getDetectionIntervalTime',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getDetectionIntervalTime',
+                        default: 'hand detection interval time'
+                    })
+                },
+                {
                     opcode: 'setDetectionIntervalTime',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
@@ -507,6 +1166,44 @@ class ExtensionBlocks {
                         }
                     }
                 },
+                {
+                    opcode: 'setDetectionScheduling',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setDetectionScheduling',
+                        default: 'detect hand [SCHEDULING]'
+                    }),
+                    arguments: {
+                        SCHEDULING: {
+                            type: ArgumentType.STRING,
+                            menu: 'detectionSchedulingMenu',
+                            defaultValue: DetectionScheduling.FRAME
+                        }
+                    }
+                },
+                {
+                    opcode: 'getSmoothing',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getSmoothing',
+                        default: 'smoothing'
+                    })
+                },
+                {
+                    opcode: 'setSmoothing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setSmoothing',
+                        default: 'set smoothing to [SMOOTHING]'
+                    }),
+                    arguments: {
+                        SMOOTHING: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                },
                 {
                     opcode: 'getNumHands',
                     blockType: BlockType.REPORTER,
@@ -532,6 +1229,43 @@ class ExtensionBlocks {
                         }
                     }
                 },
+                {
+                    opcode: 'getConfidence',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getConfidence',
+                        default: 'minimum [CONFIDENCE] confidence',
+                        description: 'get a minimum confidence score of the hand landmarker'
+                    }),
+                    arguments: {
+                        CONFIDENCE: {
+                            type: ArgumentType.STRING,
+                            menu: 'confidenceMenu',
+                            defaultValue: 'minHandDetectionConfidence'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setConfidence',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setConfidence',
+                        default: 'set minimum [CONFIDENCE] confidence to [VALUE]',
+                        description: 'set a minimum confidence score of the hand landmarker'
+                    }),
+                    arguments: {
+                        CONFIDENCE: {
+                            type: ArgumentType.STRING,
+                            menu: 'confidenceMenu',
+                            defaultValue: 'minHandDetectionConfidence'
+                        },
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.5
+                        }
+                    }
+                },
                 {
                     opcode: 'setVideoTransparency',
                     blockType: BlockType.COMMAND,
@@ -564,61 +1298,402 @@ class ExtensionBlocks {
                 },
                 '---',
                 {
-                    opcode: 'detectHandOnStage',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'xcxMPHand.detectHandOnStage',
-                        default: 'detect hand on stage'
-                    })
-                },
-                {
-                    opcode: 'detectHandInCostume',
+                    opcode: 'setCameraFit',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMPHand.detectHandInCostume',
-                        default: 'detect hand in costume [COSTUME]'
+                        id: 'xcxMPHand.setCameraFit',
+                        default: 'fit camera to stage by [CAMERA_FIT]'
                     }),
                     arguments: {
-                        COSTUME: {
-                            type: ArgumentType.COSTUME,
-                            menu: 'costumeNamesMenu'
+                        CAMERA_FIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'cameraFitMenu',
+                            defaultValue: FrameFit.STRETCH
                         }
                     }
                 },
                 '---',
                 {
-                    opcode: 'numberOfHands',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'xcxMPHand.numberOfHands',
-                        default: 'number of hands'
-                    })
-                },
-                {
-                    opcode: 'handedness',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'showSkeleton',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMPHand.handedness',
-                        default: 'handedness of hand #[HAND_NUMBER]'
+                        id: 'xcxMPHand.showSkeleton',
+                        default: 'show hand skeleton [SKELETON_STATE]'
                     }),
                     arguments: {
-                        HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                        SKELETON_STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'skeletonStateMenu',
+                            defaultValue: 'on'
                         }
                     }
                 },
                 {
-                    opcode: 'handLandmarkX',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'setSkeletonColor',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setSkeletonColor',
+                        default: 'set skeleton color of [HANDEDNESS] hand to [COLOR]'
+                    }),
+                    arguments: {
+                        HANDEDNESS: {
+                            type: ArgumentType.STRING,
+                            menu: 'handednessMenu',
+                            defaultValue: 'Left'
+                        },
+                        COLOR: {
+                            type: ArgumentType.COLOR,
+                            defaultValue: '#00c0ff'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSkeletonLineWidth',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setSkeletonLineWidth',
+                        default: 'set skeleton line width to [WIDTH]'
+                    }),
+                    arguments: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 2
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'detectHandOnStage',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.detectHandOnStage',
+                        default: 'detect hand on stage'
+                    })
+                },
+                {
+                    opcode: 'detectHandInCostume',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.detectHandInCostume',
+                        default: 'detect hand in costume [COSTUME]'
+                    }),
+                    arguments: {
+                        COSTUME: {
+                            type: ArgumentType.COSTUME,
+                            menu: 'costumeNamesMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'saveHandAsCostume',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.saveHandAsCostume',
+                        default: 'save hand #[HAND_NUMBER] as costume named [NAME] [POSE_CONTENT]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.saveHandAsCostume.defaultName',
+                                default: 'hand pose'
+                            })
+                        },
+                        POSE_CONTENT: {
+                            type: ArgumentType.STRING,
+                            menu: 'poseContentMenu',
+                            defaultValue: 'skeleton'
+                        }
+                    }
+                },
+                {
+                    opcode: 'captureHandAsCostume',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.captureHandAsCostume',
+                        default: 'capture camera around hand #[HAND_NUMBER] with margin [MARGIN] as costume [NAME]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        MARGIN: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        },
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.captureHandAsCostume.defaultName',
+                                default: 'hand photo'
+                            })
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'startRecordingHands',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.startRecordingHands',
+                        default: 'start recording hands as [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.recording.defaultName',
+                                default: 'recording1'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopRecordingHands',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.stopRecordingHands',
+                        default: 'stop recording hands'
+                    })
+                },
+                {
+                    opcode: 'replayRecording',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.replayRecording',
+                        default: 'replay recording [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.recording.defaultName',
+                                default: 'recording1'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopReplaying',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.stopReplaying',
+                        default: 'stop replaying'
+                    })
+                },
+                {
+                    opcode: 'isReplaying',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isReplaying',
+                        default: 'replaying?'
+                    })
+                },
+                {
+                    opcode: 'deleteRecording',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.deleteRecording',
+                        default: 'delete recording [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.recording.defaultName',
+                                default: 'recording1'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'downloadHands',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.downloadHands',
+                        default: 'download [DATA] as [FILE_FORMAT] file'
+                    }),
+                    arguments: {
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            menu: 'HANDS_DATA',
+                            defaultValue: '_current_'
+                        },
+                        FILE_FORMAT: {
+                            type: ArgumentType.STRING,
+                            menu: 'fileFormatMenu',
+                            defaultValue: 'json'
+                        }
+                    }
+                },
+                {
+                    opcode: 'loadHandsFile',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.loadHandsFile',
+                        default: 'load hands file as recording [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.recording.defaultName',
+                                default: 'recording1'
+                            })
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'whenHandDetected',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenHandDetected',
+                        default: 'when hand detected'
+                    })
+                },
+                {
+                    opcode: 'whenHandLost',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenHandLost',
+                        default: 'when hand lost'
+                    })
+                },
+                {
+                    opcode: 'whenNumberOfHandsChanged',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenNumberOfHandsChanged',
+                        default: 'when number of hands changes'
+                    })
+                },
+                {
+                    opcode: 'whenHandednessChanged',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenHandednessChanged',
+                        default: 'when [HANDEDNESS] hand [APPEARANCE]'
+                    }),
+                    arguments: {
+                        HANDEDNESS: {
+                            type: ArgumentType.STRING,
+                            menu: 'handednessMenu',
+                            defaultValue: 'Left'
+                        },
+                        APPEARANCE: {
+                            type: ArgumentType.STRING,
+                            menu: 'appearanceMenu',
+                            defaultValue: 'appears'
+                        }
+                    }
+                },
+                {
+                    opcode: 'numberOfHands',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.numberOfHands',
+                        default: 'number of hands'
+                    })
+                },
+                {
+                    opcode: 'handedness',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handedness',
+                        default: 'handedness of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handednessConfidence',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handednessConfidence',
+                        default: 'handedness confidence of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handId',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handId',
+                        default: 'ID of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setHandNumberMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setHandNumberMode',
+                        default: 'use [HAND_NUMBER_MODE] as hand #'
+                    }),
+                    arguments: {
+                        HAND_NUMBER_MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'handNumberModeMenu',
+                            defaultValue: 'id'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setHandednessView',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setHandednessView',
+                        default: 'report handedness from [HANDEDNESS_VIEW] view'
+                    }),
+                    arguments: {
+                        HANDEDNESS_VIEW: {
+                            type: ArgumentType.STRING,
+                            menu: 'handednessViewMenu',
+                            defaultValue: 'user'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handLandmarkX',
+                    blockType: BlockType.REPORTER,
                     text: formatMessage({
                         id: 'xcxMPHand.handLandmarkX',
                         default: 'x of [LANDMARK] of hand #[HAND_NUMBER]'
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -635,8 +1710,9 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -653,8 +1729,9 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -672,8 +1749,9 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -690,8 +1768,9 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -708,8 +1787,9 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                         HAND_NUMBER: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
                         },
                         LANDMARK: {
                             type: ArgumentType.STRING,
@@ -719,440 +1799,3288 @@ class ExtensionBlocks {
                 },
                 '---',
                 {
-                    opcode: 'setModelPath',
+                    opcode: 'putLandmarksIntoList',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMPHand.setModelPath',
-                        default: 'set model path to [PATH]'
+                        id: 'xcxMPHand.putLandmarksIntoList',
+                        default: 'put [COORDINATE] landmarks of hand #[HAND_NUMBER] into list [LIST] as [LIST_FORMAT]'
                     }),
                     arguments: {
-                        PATH: {
+                        COORDINATE: {
                             type: ArgumentType.STRING,
-                            defaultValue: modelAssetPath
+                            menu: 'coordinateMenu',
+                            defaultValue: 'stage'
+                        },
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'LIST'
+                        },
+                        LIST_FORMAT: {
+                            type: ArgumentType.STRING,
+                            menu: 'listFormatMenu',
+                            defaultValue: 'xyz'
                         }
                     }
                 },
                 {
-                    opcode: 'getModelPath',
+                    opcode: 'putHandsSummaryIntoList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.putHandsSummaryIntoList',
+                        default: 'put summary of all hands into list [LIST]'
+                    }),
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'LIST'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'handBounds',
                     blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'xcxMPHand.getModelPath',
-                        default: 'get model path'
+                        id: 'xcxMPHand.handBounds',
+                        default: '[BOUNDS] of box around hand #[HAND_NUMBER]'
                     }),
-                    disableMonitor: true
-                }
-            ],
-            menus: {
-                LANDMARK: {
-                    acceptReporters: true,
-                    items: 'getLandmarkMenu'
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        BOUNDS: {
+                            type: ArgumentType.STRING,
+                            menu: 'boundsMenu',
+                            defaultValue: 'left'
+                        }
+                    }
                 },
-                VIDEO_STATE: {
-                    acceptReporters: false,
-                    items: this._buildMenu(this.VIDEO_STATE_INFO)
+                {
+                    opcode: 'palmCenterX',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.palmCenterX',
+                        default: 'x of palm center of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
                 },
-                cameraDirectionMenu: {
-                    acceptReporters: false,
-                    items: [
-                        {
-                            text: formatMessage({
-                                id: 'xcxMPHand.cameraDirectionMenu.mirrored',
-                                default: 'mirrored',
-                                description: 'Set the camera mirrored on'
-                            }),
-                            value: 'mirrored'
+                {
+                    opcode: 'palmCenterY',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.palmCenterY',
+                        default: 'y of palm center of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handSize',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handSize',
+                        default: 'size of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'goToHandLandmark',
+                    blockType: BlockType.COMMAND,
+                    filter: [TargetType.SPRITE],
+                    text: formatMessage({
+                        id: 'xcxMPHand.goToHandLandmark',
+                        default: 'go to [LANDMARK] of hand #[HAND_NUMBER] [ROTATION]'
+                    }),
+                    arguments: {
+                        LANDMARK: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '8'
                         },
-                        {
-                            text: formatMessage({
-                                id: 'xcxMPHand.cameraDirectionMenu.flipped',
-                                default: 'flipped',
-                                description: 'Set the camera flipped on'
-                            }),
-                            value: 'flipped'
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        ROTATION: {
+                            type: ArgumentType.STRING,
+                            menu: 'followRotationMenu',
+                            defaultValue: 'keep'
                         }
-                    ]
+                    }
                 },
-                costumeNamesMenu: {
-                    acceptReporters: true,
-                    items: 'getCostumeNamesMenu'
-                }
-            }
-        };
+                {
+                    opcode: 'glideTowardHandLandmark',
+                    blockType: BlockType.COMMAND,
+                    filter: [TargetType.SPRITE],
+                    text: formatMessage({
+                        id: 'xcxMPHand.glideTowardHandLandmark',
+                        default: 'glide toward [LANDMARK] of hand #[HAND_NUMBER] with speed [SPEED] [ROTATION]'
+                    }),
+                    arguments: {
+                        LANDMARK: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '8'
+                        },
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        SPEED: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        },
+                        ROTATION: {
+                            type: ArgumentType.STRING,
+                            menu: 'followRotationMenu',
+                            defaultValue: 'keep'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenHandTouchesSprite',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: true,
+                    filter: [TargetType.SPRITE],
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenHandTouchesSprite',
+                        default: 'when [PART] of hand #[HAND_NUMBER] touches this sprite'
+                    }),
+                    arguments: {
+                        PART: {
+                            type: ArgumentType.STRING,
+                            menu: 'TOUCH_PART',
+                            defaultValue: 'any'
+                        },
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isHandTouchingSprite',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isHandTouchingSprite',
+                        default: 'is [PART] of hand #[HAND_NUMBER] touching [SPRITE]'
+                    }),
+                    arguments: {
+                        PART: {
+                            type: ArgumentType.STRING,
+                            menu: 'TOUCH_PART',
+                            defaultValue: 'any'
+                        },
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'SPRITE',
+                            defaultValue: '_myself_'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'distanceBetweenLandmarks',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.distanceBetweenLandmarks',
+                        default: 'distance from [LANDMARK] of hand #[HAND_NUMBER] ' +
+                            'to [OTHER_LANDMARK] of hand #[OTHER_HAND_NUMBER] in [UNIT]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        LANDMARK: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '4'
+                        },
+                        OTHER_HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        OTHER_LANDMARK: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '8'
+                        },
+                        UNIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'distanceUnitMenu',
+                            defaultValue: 'stage'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isHandPinching',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isHandPinching',
+                        default: 'is hand #[HAND_NUMBER] pinching'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenPinch',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMPHand.whenPinch',
+                        default: 'when pinch [PINCH_EVENT]'
+                    }),
+                    arguments: {
+                        PINCH_EVENT: {
+                            type: ArgumentType.STRING,
+                            menu: 'pinchEventMenu',
+                            defaultValue: 'starts'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getPinchThreshold',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getPinchThreshold',
+                        default: 'pinch threshold'
+                    })
+                },
+                {
+                    opcode: 'setPinchThreshold',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setPinchThreshold',
+                        default: 'set pinch threshold to [THRESHOLD] cm'
+                    }),
+                    arguments: {
+                        THRESHOLD: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 3
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'angleAtLandmark',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.angleAtLandmark',
+                        default: 'angle at [LANDMARK] between [LANDMARK_A] and [LANDMARK_B] of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        LANDMARK: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '6'
+                        },
+                        LANDMARK_A: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '5'
+                        },
+                        LANDMARK_B: {
+                            type: ArgumentType.STRING,
+                            menu: 'LANDMARK',
+                            defaultValue: '7'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handRotationOnStage',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handRotationOnStage',
+                        default: 'rotation of hand #[HAND_NUMBER] on stage'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'handOrientation',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.handOrientation',
+                        default: '[ORIENTATION] of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        ORIENTATION: {
+                            type: ArgumentType.STRING,
+                            menu: 'orientationMenu',
+                            defaultValue: 'roll'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isPalmFacingCamera',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isPalmFacingCamera',
+                        default: 'is palm of hand #[HAND_NUMBER] facing camera'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'isFingerExtended',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isFingerExtended',
+                        default: 'is [FINGER] of hand #[HAND_NUMBER] extended'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        FINGER: {
+                            type: ArgumentType.STRING,
+                            menu: 'FINGER',
+                            defaultValue: 'index'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fingerCurl',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.fingerCurl',
+                        default: 'curl of [FINGER] of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        FINGER: {
+                            type: ArgumentType.STRING,
+                            menu: 'FINGER',
+                            defaultValue: 'index'
+                        }
+                    }
+                },
+                {
+                    opcode: 'numberOfExtendedFingers',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.numberOfExtendedFingers',
+                        default: 'number of extended fingers of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'numberOfExtendedFingersOfAllHands',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.numberOfExtendedFingersOfAllHands',
+                        default: 'number of extended fingers of all hands'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'gestureOfHand',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.gestureOfHand',
+                        default: 'gesture of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'gestureScore',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.gestureScore',
+                        default: 'gesture score of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isHandShowingGesture',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMPHand.isHandShowingGesture',
+                        default: 'is hand #[HAND_NUMBER] showing [GESTURE]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        GESTURE: {
+                            type: ArgumentType.STRING,
+                            menu: 'GESTURE',
+                            defaultValue: 'Closed_Fist'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'addPoseExample',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.addPoseExample',
+                        default: 'add pose of hand #[HAND_NUMBER] as example of [LABEL]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        },
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.poseLabel.default',
+                                default: 'rock'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'poseLabel',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.poseLabel',
+                        default: 'pose label of hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'poseConfidence',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.poseConfidence',
+                        default: 'confidence of [LABEL] for hand #[HAND_NUMBER]'
+                    }),
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.poseLabel.default',
+                                default: 'rock'
+                            })
+                        },
+                        HAND_NUMBER: {
+                            type: ArgumentType.STRING,
+                            menu: 'HAND',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'poseExampleCount',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.poseExampleCount',
+                        default: 'number of examples of [LABEL]'
+                    }),
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.poseLabel.default',
+                                default: 'rock'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'clearPoseExamples',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.clearPoseExamples',
+                        default: 'clear examples of [LABEL]'
+                    }),
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMPHand.poseLabel.default',
+                                default: 'rock'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'clearAllPoseExamples',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.clearAllPoseExamples',
+                        default: 'clear all pose examples'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'setModelPath',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setModelPath',
+                        default: 'set model path to [PATH]'
+                    }),
+                    arguments: {
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: modelAssetPath
+                        }
+                    }
+                },
+                {
+                    opcode: 'getModelPath',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getModelPath',
+                        default: 'get model path'
+                    }),
+                    disableMonitor: true
+                },
+                {
+                    opcode: 'setGestureModelPath',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setGestureModelPath',
+                        default: 'set gesture model path to [PATH]'
+                    }),
+                    arguments: {
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: getGestureModelAssetPath()
+                        }
+                    }
+                },
+                {
+                    opcode: 'getGestureModelPath',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getGestureModelPath',
+                        default: 'get gesture model path'
+                    }),
+                    disableMonitor: true
+                },
+                {
+                    opcode: 'setAssetBaseURL',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMPHand.setAssetBaseURL',
+                        default: 'set MediaPipe base URL to [URL]'
+                    }),
+                    arguments: {
+                        URL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: getAssetBaseURL()
+                        }
+                    }
+                },
+                {
+                    opcode: 'getAssetBaseURL',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMPHand.getAssetBaseURL',
+                        default: 'MediaPipe base URL'
+                    }),
+                    disableMonitor: true
+                }
+            ],
+            menus: {
+                LANDMARK: {
+                    acceptReporters: true,
+                    items: 'getLandmarkMenu'
+                },
+                FINGER: {
+                    acceptReporters: true,
+                    items: 'getFingerMenu'
+                },
+                HAND: {
+                    acceptReporters: true,
+                    items: 'getHandMenu'
+                },
+                TOUCH_PART: {
+                    acceptReporters: true,
+                    items: 'getTouchPartMenu'
+                },
+                SPRITE: {
+                    acceptReporters: true,
+                    items: 'getSpriteMenu'
+                },
+                HANDS_DATA: {
+                    acceptReporters: true,
+                    items: 'getHandsDataMenu'
+                },
+                LIST: {
+                    acceptReporters: true,
+                    items: 'getListMenu'
+                },
+                GESTURE: {
+                    acceptReporters: true,
+                    items: 'getGestureMenu'
+                },
+                VIDEO_STATE: {
+                    acceptReporters: false,
+                    items: this._buildMenu(this.VIDEO_STATE_INFO)
+                },
+                cameraDirectionMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.cameraDirectionMenu.mirrored',
+                                default: 'mirrored',
+                                description: 'Set the camera mirrored on'
+                            }),
+                            value: 'mirrored'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.cameraDirectionMenu.flipped',
+                                default: 'flipped',
+                                description: 'Set the camera flipped on'
+                            }),
+                            value: 'flipped'
+                        }
+                    ]
+                },
+                delegateMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.delegateMenu.auto',
+                                default: 'auto'
+                            }),
+                            value: 'auto'
+                        },
+                        {
+                            text: 'CPU',
+                            value: 'CPU'
+                        },
+                        {
+                            text: 'GPU',
+                            value: 'GPU'
+                        }
+                    ]
+                },
+                detectionSchedulingMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.detectionSchedulingMenu.interval',
+                                default: 'at interval time'
+                            }),
+                            value: DetectionScheduling.INTERVAL
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.detectionSchedulingMenu.frame',
+                                default: 'every frame'
+                            }),
+                            value: DetectionScheduling.FRAME
+                        }
+                    ]
+                },
+                confidenceMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.confidenceMenu.detection',
+                                default: 'detection'
+                            }),
+                            value: 'minHandDetectionConfidence'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.confidenceMenu.presence',
+                                default: 'presence'
+                            }),
+                            value: 'minHandPresenceConfidence'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.confidenceMenu.tracking',
+                                default: 'tracking'
+                            }),
+                            value: 'minTrackingConfidence'
+                        }
+                    ]
+                },
+                fileFormatMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: 'JSON',
+                            value: 'json'
+                        },
+                        {
+                            text: 'CSV',
+                            value: 'csv'
+                        }
+                    ]
+                },
+                poseContentMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.poseContentMenu.skeleton',
+                                default: 'skeleton only'
+                            }),
+                            value: 'skeleton'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.poseContentMenu.camera',
+                                default: 'with camera image'
+                            }),
+                            value: 'camera'
+                        }
+                    ]
+                },
+                skeletonStateMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.skeletonStateMenu.on',
+                                default: 'on'
+                            }),
+                            value: 'on'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.skeletonStateMenu.off',
+                                default: 'off'
+                            }),
+                            value: 'off'
+                        }
+                    ]
+                },
+                followRotationMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.followRotationMenu.keep',
+                                default: 'keeping direction'
+                            }),
+                            value: 'keep'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.followRotationMenu.turn',
+                                default: 'turning with hand'
+                            }),
+                            value: 'turn'
+                        }
+                    ]
+                },
+                boundsMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.left',
+                                default: 'left'
+                            }),
+                            value: 'left'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.right',
+                                default: 'right'
+                            }),
+                            value: 'right'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.top',
+                                default: 'top'
+                            }),
+                            value: 'top'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.bottom',
+                                default: 'bottom'
+                            }),
+                            value: 'bottom'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.width',
+                                default: 'width'
+                            }),
+                            value: 'width'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.boundsMenu.height',
+                                default: 'height'
+                            }),
+                            value: 'height'
+                        }
+                    ]
+                },
+                cameraFitMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.cameraFitMenu.stretch',
+                                default: 'stretch'
+                            }),
+                            value: FrameFit.STRETCH
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.cameraFitMenu.contain',
+                                default: 'contain'
+                            }),
+                            value: FrameFit.CONTAIN
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.cameraFitMenu.cover',
+                                default: 'cover'
+                            }),
+                            value: FrameFit.COVER
+                        }
+                    ]
+                },
+                handednessMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handednessMenu.left',
+                                default: 'left'
+                            }),
+                            value: 'Left'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handednessMenu.right',
+                                default: 'right'
+                            }),
+                            value: 'Right'
+                        }
+                    ]
+                },
+                handednessViewMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handednessViewMenu.user',
+                                default: 'user\'s'
+                            }),
+                            value: 'user'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handednessViewMenu.camera',
+                                default: 'camera\'s'
+                            }),
+                            value: 'camera'
+                        }
+                    ]
+                },
+                handNumberModeMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handNumberModeMenu.order',
+                                default: 'order of detection'
+                            }),
+                            value: 'order'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.handNumberModeMenu.id',
+                                default: 'hand ID'
+                            }),
+                            value: 'id'
+                        }
+                    ]
+                },
+                appearanceMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.appearanceMenu.appears',
+                                default: 'appears'
+                            }),
+                            value: 'appears'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.appearanceMenu.disappears',
+                                default: 'disappears'
+                            }),
+                            value: 'disappears'
+                        }
+                    ]
+                },
+                coordinateMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.coordinateMenu.stage',
+                                default: 'stage'
+                            }),
+                            value: 'stage'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.coordinateMenu.relative',
+                                default: 'relative'
+                            }),
+                            value: 'relative'
+                        }
+                    ]
+                },
+                listFormatMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: 'x, y, z',
+                            value: 'xyz'
+                        },
+                        {
+                            text: 'x, y',
+                            value: 'xy'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.listFormatMenu.x',
+                                default: 'x only'
+                            }),
+                            value: 'x'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.listFormatMenu.y',
+                                default: 'y only'
+                            }),
+                            value: 'y'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.listFormatMenu.z',
+                                default: 'z only'
+                            }),
+                            value: 'z'
+                        }
+                    ]
+                },
+                distanceUnitMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.distanceUnitMenu.stage',
+                                default: 'stage'
+                            }),
+                            value: 'stage'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.distanceUnitMenu.world',
+                                default: 'world (cm)'
+                            }),
+                            value: 'world'
+                        }
+                    ]
+                },
+                pinchEventMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.pinchEventMenu.starts',
+                                default: 'starts'
+                            }),
+                            value: 'starts'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.pinchEventMenu.ends',
+                                default: 'ends'
+                            }),
+                            value: 'ends'
+                        }
+                    ]
+                },
+                orientationMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.orientationMenu.pitch',
+                                default: 'pitch'
+                            }),
+                            value: 'pitch'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.orientationMenu.yaw',
+                                default: 'yaw'
+                            }),
+                            value: 'yaw'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMPHand.orientationMenu.roll',
+                                default: 'roll'
+                            }),
+                            value: 'roll'
+                        }
+                    ]
+                },
+                costumeNamesMenu: {
+                    acceptReporters: true,
+                    items: 'getCostumeNamesMenu'
+                }
+            }
+        };
+    }
+
+    /**
+     * A scratch command block handle that configures the video state from
+     * passed arguments.
+     * @param {object} args - the block arguments
+     * @param {VideoState} args.VIDEO_STATE - the video state to set the device to
+     */
+    videoToggle (args) {
+        const state = args.VIDEO_STATE;
+        this.globalVideoState = state;
+        if (state === VideoState.OFF) {
+            this.runtime.ioDevices.video.disableVideo();
+        } else {
+            this.runtime.ioDevices.video.enableVideo();
+            // Mirror if state is ON. Do not mirror if state is ON_FLIPPED.
+            this.runtime.ioDevices.video.mirror = state === VideoState.ON;
+        }
+    }
+
+    /**
+     * A scratch command block handle that configures the video preview's
+     * transparency from passed arguments.
+     * @param {object} args - the block arguments
+     * @param {number} args.TRANSPARENCY - the transparency to set the video
+     *   preview to
+     */
+    setVideoTransparency (args) {
+        const transparency = Cast.toNumber(args.TRANSPARENCY);
+        this.globalVideoTransparency = transparency;
+        this.runtime.ioDevices.video.setPreviewGhost(transparency);
+    }
+
+    /**
+     * Set whether the camera should be flipped.
+     * @param {object} args - the block arguments
+     * @param {string} args.DIRECTION - 'mirrored' or 'flipped'
+     */
+    setCameraDirection (args) {
+        const direction = args.DIRECTION;
+        this.runtime.ioDevices.video.mirror = direction === 'mirrored';
+    }
+
+    /**
+     * Set how the camera frame is fitted on the stage when the aspect ratios are different.
+     * @param {object} args - the block arguments
+     * @param {string} args.CAMERA_FIT - 'stretch', 'contain' or 'cover'
+     */
+    setCameraFit (args) {
+        const fit = Cast.toString(args.CAMERA_FIT);
+        if (!Object.values(FrameFit).includes(fit)) return;
+        this.cameraFit = fit;
+    }
+
+    /**
+     * Get the size of the stage of the runtime.
+     * @returns {{width: number, height: number}} - the size of the stage
+     */
+    stageSize () {
+        if (this.runtime.stageWidth > 0 && this.runtime.stageHeight > 0) {
+            return {width: this.runtime.stageWidth, height: this.runtime.stageHeight};
+        }
+        const renderer = this.runtime.renderer;
+        if (renderer && renderer.getNativeSize) {
+            const [width, height] = renderer.getNativeSize();
+            if (width > 0 && height > 0) {
+                return {width, height};
+            }
+        }
+        return {width: 480, height: 360};
+    }
+
+    /**
+     * Get the dimensions to get a camera frame in the aspect ratio of the camera.
+     * @returns {Array<number>} - [width, height] of the frame
+     */
+    cameraFrameDimensions () {
+        const video = this.runtime.ioDevices.video;
+        const videoElement = video.provider && video.provider.video;
+        if (!videoElement || !(videoElement.videoWidth > 0) || !(videoElement.videoHeight > 0)) {
+            return [480, 360];
+        }
+        const scale = Math.min(1, MAX_CAMERA_FRAME_WIDTH / videoElement.videoWidth);
+        return [
+            Math.round(videoElement.videoWidth * scale),
+            Math.round(videoElement.videoHeight * scale)
+        ];
+    }
+
+    /**
+     * Start hand detection with the specified video state.
+     */
+    startHandDetection () {
+        // Turn on the video if it is off
+        const state = this.globalVideoState;
+        if (state === VideoState.OFF) {
+            this.runtime.ioDevices.video.enableVideo();
+            // Mirror the video for hand detection
+            this.runtime.ioDevices.video.mirror = true;
+        }
+
+        if (this.handDetecting) {
+            return;
+        }
+
+        this.handDetecting = true;
+        if (this.detectionScheduling === DetectionScheduling.FRAME) {
+            this.startFrameDetectionLoop();
+            return;
+        }
+
+        const generation = this.detectionLoopGeneration;
+        const isRunning = () => this.handDetecting && generation === this.detectionLoopGeneration;
+        const detectFrame = async () => {
+            if (!isRunning()) {
+                return;
+            }
+            try {
+                const detection = await this.detectCameraFrame();
+                if (detection && isRunning() && !this.isReplaying()) {
+                    this.updateHands(detection.result, detection.gestureResult, detection.frame, HandSource.CAMERA);
+                }
+            } catch (error) {
+                console.error('Error detecting hand:', error);
+            } finally {
+                // Schedule next detection unless the loop was stopped while detecting
+                if (isRunning()) {
+                    this.detectionInterval = setTimeout(detectFrame, this.detectionIntervalTime);
+                }
+            }
+        };
+
+        // Start the detection loop
+        this.detectionInterval = setTimeout(detectFrame, this.detectionIntervalTime);
+    }
+
+    /**
+     * Recognize gestures in an image if the gesture blocks are used.
+     * A failure of the gesture recognizer does not stop the hand detection.
+     * @param {ImageData|HTMLImageElement} image - the image to recognize
+     * @returns {Promise<GestureRecognizerResult?>} - the result, null if gestures are not recognized
+     */
+    recognizeGestures (image) {
+        if (!this.gestureRecognizing) return Promise.resolve(null);
+        return Promise.resolve()
+            .then(() => recognize(image))
+            .catch(error => {
+                console.error('Error recognizing gestures:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Detect hands in the current camera frame in the video running mode.
+     * @returns {Promise<object?>} - the results and how the frame was taken, null if no frame is available
+     */
+    async detectCameraFrame () {
+        // Get the current video frame mirrored always, as MediaPipe expects for the handedness.
+        const image = this.runtime.ioDevices.video.getFrame({
+            format: 'image-data',
+            dimensions: this.cameraFrameDimensions(),
+            mirror: true
+        });
+        if (!image) return null;
+        // Send the frame to the hand detection model
+        const [result, gestureResult] = await Promise.all([
+            detectForVideo(image),
+            this.recognizeGestures(image)
+        ]);
+        return {
+            result,
+            gestureResult,
+            frame: {
+                mirrored: true,
+                // Flip the x to match the stage when the video is shown without mirroring.
+                flipX: !this.runtime.ioDevices.video.mirror,
+                width: image.width,
+                height: image.height,
+                fit: this.cameraFit
+            }
+        };
+    }
+
+    /**
+     * Store the result which was detected in the last frame and start a detection for the next frame.
+     * The results are stored at the start of a frame,
+     * so that all the blocks in a frame read the same result.
+     */
+    detectOnFrame () {
+        if (this.pendingDetection) {
+            const detection = this.pendingDetection;
+            this.pendingDetection = null;
+            if (!this.isReplaying()) {
+                this.updateHands(detection.result, detection.gestureResult, detection.frame, HandSource.CAMERA);
+            }
+        }
+        if (this.frameDetecting) return;
+        this.frameDetecting = true;
+        const generation = this.detectionLoopGeneration;
+        this.detectCameraFrame()
+            .then(detection => {
+                if (this.handDetecting && generation === this.detectionLoopGeneration) {
+                    this.pendingDetection = detection;
+                }
+            })
+            .catch(error => {
+                console.error('Error detecting hand:', error);
+            })
+            .finally(() => {
+                this.frameDetecting = false;
+            });
+    }
+
+    /**
+     * Start the loop to detect on each frame.
+     * The loop runs at the frame rate of the runtime until the runtime emits the event of the frame.
+     */
+    startFrameDetectionLoop () {
+        const generation = this.detectionLoopGeneration;
+        const loop = () => {
+            if (!this.handDetecting || generation !== this.detectionLoopGeneration) return;
+            if (this.frameEventSupported) return;
+            this.detectOnFrame();
+            this.detectionInterval = setTimeout(loop, this.runtime.currentStepTime || (1000 / 30));
+        };
+        loop();
+    }
+
+    /**
+     * Set how to schedule the detection on camera.
+     * @param {object} args - the block arguments
+     * @param {string} args.SCHEDULING - 'interval' or 'frame'
+     */
+    setDetectionScheduling (args) {
+        const scheduling = Cast.toString(args.SCHEDULING);
+        if (!Object.values(DetectionScheduling).includes(scheduling)) return;
+        if (this.detectionScheduling === scheduling) return;
+        this.detectionScheduling = scheduling;
+        if (this.handDetecting) {
+            // Restart the detection with the new scheduling.
+            this.stopHandDetection();
+            this.startHandDetection();
+        }
+    }
+
+    /**
+     * Stop hand detection.
+     */
+    stopHandDetection () {
+        this.handDetecting = false;
+        this.detectionLoopGeneration++;
+
+        if (this.detectionInterval) {
+            clearInterval(this.detectionInterval);
+            this.detectionInterval = null;
+        }
+        this.pendingDetection = null;
+
+        // Clear the hands data
+        this.hands = [];
+        this.gestures = null;
+        this.drawSkeleton();
+    }
+
+    /**
+     * Store the results of a detection and start the hats for the changes of the detected hands.
+     * @param {HandLandmarkerResult} result - the result of the hand landmarker
+     * @param {GestureRecognizerResult?} gestureResult - the result of the gesture recognizer
+     * @param {object} [frame] - how the image was taken
+     * @param {boolean} [frame.mirrored] - true if the image was a mirrored view of the user (default: true)
+     * @param {boolean} [frame.flipX] - true if the x must be flipped to match the stage (default: false)
+     * @param {number} [frame.width] - width of the image
+     * @param {number} [frame.height] - height of the image
+     * @param {FrameFit} [frame.fit] - how the image is fitted on the stage (default: stretch)
+     * @param {HandSource} [source] - where the results came from (default: a one-off detection)
+     */
+    updateHands (result, gestureResult, frame = {}, source = HandSource.IMAGE) {
+        const prevNumberOfHands = this.numberOfHands();
+        const prevHandednesses = this.detectedHandednesses();
+        const prevPinchingHandIds = this.pinchingHandIds();
+
+        const now = performance.now();
+        this.handRecorder.record(result, gestureResult, frame, now);
+        if (this.handRecorder.isFull(now)) {
+            this.stopRecordingHands();
+        }
+
+        this.frameMirrored = frame.mirrored !== false;
+        this.flipX = frame.flipX === true;
+        this.frameSize = {width: frame.width || 480, height: frame.height || 360};
+        this.frameFit = frame.fit || FrameFit.STRETCH;
+
+        if (!result || !result.handednesses || !result.handednesses[0]) {
+            this.hands = null;
+            this.handIds = this.handTracker.update(null);
+            this.handFilters = {};
+        } else {
+            this.handIds = this.handTracker.update(result);
+            this.hands = this.smoothHands(result, source);
+        }
+        this.handSource = source;
+        this.gestures = gestureResult;
+
+        const numberOfHands = this.numberOfHands();
+        const handednesses = this.detectedHandednesses();
+        this.appearedHandednesses = countUpHandednesses(handednesses, prevHandednesses);
+        this.disappearedHandednesses = countUpHandednesses(prevHandednesses, handednesses);
+
+        if (prevNumberOfHands === 0 && numberOfHands > 0) {
+            this.runtime.startHats(`${EXTENSION_ID}_whenHandDetected`);
+        }
+        if (prevNumberOfHands > 0 && numberOfHands === 0) {
+            this.runtime.startHats(`${EXTENSION_ID}_whenHandLost`);
+        }
+        if (prevNumberOfHands !== numberOfHands) {
+            this.runtime.startHats(`${EXTENSION_ID}_whenNumberOfHandsChanged`);
+        }
+        if (this.appearedHandednesses.length > 0 || this.disappearedHandednesses.length > 0) {
+            this.runtime.startHats(`${EXTENSION_ID}_whenHandednessChanged`);
+        }
+
+        // Compare each hand, so that a pinch starting and another ending at once are both caught.
+        const pinchingHandIds = this.pinchingHandIds();
+        this.pinchStarted = pinchingHandIds.some(id => !prevPinchingHandIds.includes(id));
+        this.pinchEnded = prevPinchingHandIds.some(id => !pinchingHandIds.includes(id));
+        if (this.pinchStarted || this.pinchEnded) {
+            this.runtime.startHats(`${EXTENSION_ID}_whenPinch`);
+        }
+
+        this.drawSkeleton();
+    }
+
+    /**
+     * Draw the skeletons of the detected hands on the overlay if it is shown.
+     */
+    drawSkeleton () {
+        if (!this.skeletonOverlay.visible) return;
+        const hands = (this.hands && this.hands.landmarks) ?
+            this.hands.landmarks.map((landmarks, handIndex) => ({
+                handedness: this.handednessLabel(handIndex),
+                points: landmarks.map(landmark => this.landmarkToStage(landmark))
+            })) :
+            [];
+        this.skeletonOverlay.draw(hands, this.stageSize());
+    }
+
+    /**
+     * Show or hide the skeletons of the hands on the stage.
+     * @param {object} args - the block arguments
+     * @param {string} args.SKELETON_STATE - 'on' or 'off'
+     */
+    showSkeleton (args) {
+        this.skeletonOverlay.setVisible(Cast.toString(args.SKELETON_STATE) === 'on');
+        this.drawSkeleton();
+    }
+
+    /**
+     * Set the color of the skeletons of a handedness.
+     * @param {object} args - the block arguments
+     * @param {string} args.HANDEDNESS - 'Left' or 'Right'
+     * @param {string} args.COLOR - the color in '#rrggbb'
+     */
+    setSkeletonColor (args) {
+        const handedness = Cast.toString(args.HANDEDNESS);
+        if (handedness !== 'Left' && handedness !== 'Right') return;
+        const [r, g, b] = Cast.toRgbColorList(args.COLOR);
+        this.skeletonOverlay.setColor(handedness, `rgb(${r}, ${g}, ${b})`);
+        this.drawSkeleton();
+    }
+
+    /**
+     * Set the width of the lines of the skeletons.
+     * @param {object} args - the block arguments
+     * @param {number} args.WIDTH - the width in the stage unit
+     */
+    setSkeletonLineWidth (args) {
+        this.skeletonOverlay.lineWidth = Math.max(Cast.toNumber(args.WIDTH), 0);
+        this.drawSkeleton();
+    }
+
+    /**
+     * Smooth the landmarks of the result with the previous results of the same hand ID.
+     * The filters of the hands which are not detected are discarded.
+     * @param {HandLandmarkerResult} result - the result of the hand landmarker
+     * @param {HandSource} source - where the result came from, only a continuous stream is smoothed
+     * @returns {HandLandmarkerResult} - the result which has smoothed landmarks
+     */
+    smoothHands (result, source) {
+        if (this.smoothing <= 0 || source === HandSource.IMAGE) {
+            this.handFilters = {};
+            return result;
+        }
+        // The filters must not mix the stream with the results from another source.
+        if (source !== this.handSource) {
+            this.handFilters = {};
+        }
+        const {minCutoff, beta} = smoothingToParameters(this.smoothing);
+        const timestamp = performance.now() / 1000;
+        const handFilters = {};
+        const landmarks = [];
+        const worldLandmarks = [];
+        result.handednesses.forEach((handedness, handIndex) => {
+            const id = this.handIds[handIndex];
+            const filters = this.handFilters[id] || {
+                landmarks: new LandmarksFilter(minCutoff, beta),
+                worldLandmarks: new LandmarksFilter(minCutoff, beta)
+            };
+            handFilters[id] = filters;
+            landmarks.push(filters.landmarks.filter(result.landmarks[handIndex], timestamp));
+            worldLandmarks.push(filters.worldLandmarks.filter(result.worldLandmarks[handIndex], timestamp));
+        });
+        this.handFilters = handFilters;
+        return Object.assign({}, result, {landmarks, worldLandmarks});
+    }
+
+    /**
+     * Get the smoothing level of the landmarks.
+     * @returns {number} - the smoothing level (0-100)
+     */
+    getSmoothing () {
+        return this.smoothing;
+    }
+
+    /**
+     * Set the smoothing level of the landmarks.
+     * @param {object} args - the block arguments
+     * @param {number} args.SMOOTHING - the smoothing level (0: no smoothing - 100: strongest)
+     */
+    setSmoothing (args) {
+        const smoothing = Cast.toNumber(args.SMOOTHING);
+        this.smoothing = Math.min(100, Math.max(0, smoothing));
+        this.handFilters = {};
+    }
+
+    /**
+     * Get the handednesses of all the detected hands.
+     * @returns {Array<string>} - the handedness of each hand
+     */
+    detectedHandednesses () {
+        if (!this.hands || !this.hands.handednesses) return [];
+        return this.hands.handednesses.map((handedness, handIndex) => this.handednessLabel(handIndex));
+    }
+
+    /**
+     * Get the handedness of a specific hand from the point of view which is set.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {string} - 'Left' or 'Right'
+     */
+    handednessLabel (handIndex) {
+        const label = this.hands.handednesses[handIndex][0].categoryName;
+        // MediaPipe label is the user's hand when the image was mirrored.
+        const userLabel = this.frameMirrored ? label : oppositeHandedness(label);
+        return this.handednessView === 'camera' ? oppositeHandedness(userLabel) : userLabel;
+    }
+
+    /**
+     * Set the point of view to report handedness.
+     * @param {object} args - the block arguments
+     * @param {string} args.HANDEDNESS_VIEW - 'user' or 'camera'
+     */
+    setHandednessView (args) {
+        const view = Cast.toString(args.HANDEDNESS_VIEW);
+        if (view !== 'user' && view !== 'camera') return;
+        this.handednessView = view;
+    }
+
+    /**
+     * Get the index of the hand in the result from the hand number of a block.
+     * @param {number|string} handNumber - the hand number (1-based order or ID) or a HandSelector
+     * @returns {number} - the hand index (0-based), -1 if the hand is not detected
+     */
+    resolveHandIndex (handNumber) {
+        const selector = Cast.toString(handNumber).trim()
+            .toLowerCase();
+        if (Object.values(HandSelector).includes(selector)) {
+            return this.selectHandIndex(selector);
+        }
+        const number = Cast.toNumber(handNumber);
+        if (this.handNumberMode === 'id') {
+            return this.handIds.indexOf(number);
+        }
+        return number - 1;
+    }
+
+    /**
+     * Get the index of the hand which is selected by a HandSelector.
+     * When some hands are the same side, the first one in the order of the detection is selected.
+     * @param {HandSelector} selector - the way to select the hand
+     * @returns {number} - the hand index (0-based), -1 if no hand is detected
+     */
+    selectHandIndex (selector) {
+        if (!this.hands || !this.hands.handednesses) return -1;
+        const handIndexes = this.hands.handednesses.map((handedness, handIndex) => handIndex);
+        if (selector === HandSelector.LEFT || selector === HandSelector.RIGHT) {
+            const label = selector === HandSelector.LEFT ? 'Left' : 'Right';
+            return handIndexes.findIndex(handIndex => this.handednessLabel(handIndex) === label);
+        }
+        // Score each hand to select the highest one
+        const score = handIndex => {
+            if (selector === HandSelector.LEFT_MOST) {
+                const box = this.handBoundingBox(handIndex);
+                return -(box.left + box.right) / 2;
+            }
+            // A closer hand looks larger.
+            return this.handStageSize(handIndex);
+        };
+        return handIndexes.reduce(
+            (selected, handIndex) => ((selected < 0 || score(handIndex) > score(selected)) ? handIndex : selected),
+            -1
+        );
+    }
+
+    /**
+     * Get the ID of a specific hand.
+     * The ID is kept while the hand is tracked across detections.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the ID of the hand, 0 if the hand is not detected
+     */
+    handId (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        if (!this.hands || handIndex < 0 || handIndex >= this.handIds.length) return 0;
+        return this.handIds[handIndex];
+    }
+
+    /**
+     * Set what the hand number of the blocks means.
+     * @param {object} args - the block arguments
+     * @param {string} args.HAND_NUMBER_MODE - 'order' or 'id'
+     */
+    setHandNumberMode (args) {
+        const mode = Cast.toString(args.HAND_NUMBER_MODE);
+        if (mode !== 'order' && mode !== 'id') return;
+        this.handNumberMode = mode;
+    }
+
+    /**
+     * Hat block which is started when a hand is detected while no hand was detected.
+     * @returns {boolean} - true always, because this hat is started only when it happened
+     */
+    whenHandDetected () {
+        return true;
+    }
+
+    /**
+     * Hat block which is started when all the hands are lost.
+     * @returns {boolean} - true always, because this hat is started only when it happened
+     */
+    whenHandLost () {
+        return true;
+    }
+
+    /**
+     * Hat block which is started when the number of hands changes.
+     * @returns {boolean} - true always, because this hat is started only when it happened
+     */
+    whenNumberOfHandsChanged () {
+        return true;
+    }
+
+    /**
+     * Hat block which is started when a left or right hand appears or disappears.
+     * @param {object} args - the block arguments
+     * @param {string} args.HANDEDNESS - 'Left' or 'Right'
+     * @param {string} args.APPEARANCE - 'appears' or 'disappears'
+     * @returns {boolean} - true if the hand of the handedness appeared or disappeared
+     */
+    whenHandednessChanged (args) {
+        const handedness = Cast.toString(args.HANDEDNESS);
+        const changed = args.APPEARANCE === 'disappears' ?
+            this.disappearedHandednesses :
+            this.appearedHandednesses;
+        return changed.includes(handedness);
+    }
+
+    /**
+     * Hat block which is started when the hand model gets ready.
+     * @returns {boolean} - true always, because this hat is started only when it happened
+     */
+    whenModelReady () {
+        return true;
+    }
+
+    /**
+     * Load the hand model if it is not loaded. It retries when the last loading failed.
+     * @returns {Promise} - a promise that resolves when the loading finished
+     */
+    loadModel () {
+        return loadHandLandmarker()
+            .then(() => 'Hand model loaded successfully')
+            .catch(e => {
+                console.error(e);
+                return e.message;
+            });
+    }
+
+    /**
+     * Check if the hand model is ready to detect.
+     * @returns {boolean} - true if the model is ready
+     */
+    isModelReady () {
+        return getModelStatus() === 'ready';
+    }
+
+    /**
+     * Get the status of the hand model.
+     * @returns {string} - 'unloaded', 'loading', 'ready' or 'error'
+     */
+    modelStatus () {
+        return getModelStatus();
+    }
+
+    /**
+     * Get the message of the last error on loading the hand model.
+     * @returns {string} - the error message, empty if no error
+     */
+    modelError () {
+        return getModelError();
+    }
+
+    /**
+     * Set the processing unit to run the models. The models which were loaded are reloaded.
+     * @param {object} args - the block arguments
+     * @param {string} args.DELEGATE - 'auto', 'CPU' or 'GPU'
+     * @returns {Promise} - a promise that resolves when the models are reloaded
+     */
+    setProcessingUnit (args) {
+        const delegate = Cast.toString(args.DELEGATE);
+        if (!['auto', 'CPU', 'GPU'].includes(delegate)) return;
+        return setDelegate(delegate)
+            .then(() => {
+                resetGestureRecognizer();
+                return 'Processing unit set successfully';
+            })
+            .catch(e => {
+                console.error(e);
+                return e.message;
+            });
+    }
+
+    /**
+     * Get the processing unit which the hand model is running on.
+     * @returns {string} - 'CPU', 'GPU' or empty if the model is not loaded
+     */
+    processingUnit () {
+        return getDelegate();
+    }
+
+    /**
+     * Check if hand detection is currently active.
+     * @returns {boolean} - true if hand detection is active
+     */
+    isHandDetecting () {
+        return this.handDetecting;
+    }
+
+    /**
+     * Get the interval time for the detection loop.
+     * @returns {number} - the interval time in milliseconds
+     */
+    getDetectionIntervalTime () {
+        return this.detectionIntervalTime;
+    }
+
+    /**
+     * Set the interval time for the detection loop.
+     * @param {object} args - the block arguments
+     * @param {number} args.TIME - the interval time in milliseconds
+     */
+    setDetectionIntervalTime (args) {
+        const time = Cast.toNumber(args.TIME);
+        this.detectionIntervalTime = Math.max(0, time);
+    }
+
+    /**
+     * Detect hand on the stage.
+     * @returns {Promise} - a promise that resolves when the hand is detected
+     */
+    detectHandOnStage () {
+        return new Promise((resolve, reject) => {
+            this.skeletonOverlay.requestSnapshot(imageDataURL => {
+                const image = new Image();
+                image.onload = async () => {
+                    try {
+                        // The snapshot may be larger than the stage on a high resolution display.
+                        const {width, height} = this.stageSize();
+                        const canvas = document.createElement('canvas');
+                        canvas.width = width;
+                        canvas.height = height;
+                        const context = canvas.getContext('2d');
+                        context.drawImage(image, 0, 0, width, height);
+                        const imageData = context.getImageData(0, 0, width, height);
+                        const [result, gestureResult] = await Promise.all([
+                            detect(imageData),
+                            this.recognizeGestures(imageData)
+                        ]);
+                        // The stage shows the video without mirroring when it is on flipped.
+                        const videoFlipped = this.globalVideoState !== VideoState.OFF &&
+                            !this.runtime.ioDevices.video.mirror;
+                        this.updateHands(result, gestureResult, {mirrored: !videoFlipped, width, height});
+                        resolve('Hand detected');
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                image.onerror = () => reject(new Error('Failed to load the stage image'));
+                image.src = imageDataURL;
+            });
+        })
+            .catch(error => {
+                console.error('Error detecting hand:', error);
+                return error.message;
+            });
+    }
+
+    /**
+     * Detect hand in a costume.
+     * @param {object} args - the block arguments
+     * @param {string} args.COSTUME - the costume name or number
+     * @param {object} util - utility object provided by the runtime
+     * @returns {Promise} - a promise that resolves when the hand is detected
+     */
+    async detectHandInCostume (args, util) {
+        const target = util.target;
+        const costumeName = args.COSTUME;
+        
+        try {
+            // Get costume by name or number
+            const costume = getCostumeByNameOrNumber(target, costumeName);
+            if (!costume) {
+                console.error('Costume not found:', costumeName);
+                return 'Costume not found';
+            }
+
+            // Convert costume to data URL
+            const dataURL = await costumeToDataURL(costume, 'png');
+            
+            // Create image from data URL
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = dataURL;
+            });
+
+            // Use the image element directly - MediaPipe can handle HTMLImageElement
+            // This is more efficient than creating a canvas and getting ImageData
+            const [result, gestureResult] = await Promise.all([
+                detect(image),
+                this.recognizeGestures(image)
+            ]);
+            this.updateHands(result, gestureResult);
+            return 'Hand detected';
+        } catch (error) {
+            console.error('Error detecting hand in costume:', error);
+            return error.message;
+        }
+    }
+
+    /**
+     * Capture an area of the stage from the current camera frame.
+     * The frame is placed on the stage in the same way as the landmarks of the current result.
+     * @param {{left: number, right: number, top: number, bottom: number}} box - the area in Scratch coordinates
+     * @returns {?{canvas: HTMLCanvasElement, box: object}} - the image and its area which is clipped in the frame,
+     *  null if the camera is not available or the area is out of the frame
+     */
+    captureCameraRegion (box) {
+        const video = this.runtime.ioDevices && this.runtime.ioDevices.video;
+        if (!video) return null;
+        const frame = video.getFrame({
+            format: 'canvas',
+            dimensions: this.cameraFrameDimensions(),
+            mirror: true
+        });
+        if (!frame) return null;
+        const size = fitFrameSize(this.frameSize, this.stageSize(), this.frameFit);
+        const clipped = {
+            left: Math.max(box.left, -size.width / 2),
+            right: Math.min(box.right, size.width / 2),
+            top: Math.min(box.top, size.height / 2),
+            bottom: Math.max(box.bottom, -size.height / 2)
+        };
+        if (clipped.right <= clipped.left || clipped.top <= clipped.bottom) return null;
+        // Inverse of landmarkToStage into the pixels of the frame
+        const toFrameX = x => (this.flipX ? 0.5 - (x / size.width) : (x / size.width) + 0.5) * frame.width;
+        const toFrameY = y => (0.5 - (y / size.height)) * frame.height;
+        const frameLeft = Math.min(toFrameX(clipped.left), toFrameX(clipped.right));
+        const frameWidth = Math.abs(toFrameX(clipped.right) - toFrameX(clipped.left));
+        const frameTop = toFrameY(clipped.top);
+        const frameHeight = toFrameY(clipped.bottom) - frameTop;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round((clipped.right - clipped.left) * CAPTURE_RESOLUTION));
+        canvas.height = Math.max(1, Math.round((clipped.top - clipped.bottom) * CAPTURE_RESOLUTION));
+        const ctx = canvas.getContext('2d');
+        if (this.flipX) {
+            // The frame is mirrored, so flip it back to match the stage.
+            ctx.translate(canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(frame, frameLeft, frameTop, frameWidth, frameHeight, 0, 0, canvas.width, canvas.height);
+        return {canvas, box: clipped};
+    }
+
+    /**
+     * Save the skeleton of a specific hand as a new SVG costume of the sprite.
+     * The current costume is not changed.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.NAME - the name of the costume
+     * @param {string} args.POSE_CONTENT - 'skeleton' or 'camera' to put the camera image under the skeleton
+     * @param {object} util - utility object provided by the runtime
+     * @returns {Promise<string>} - a promise that resolves with the result message
+     */
+    async saveHandAsCostume (args, util) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const box = this.handBoundingBox(handIndex);
+        if (!box) return 'Hand not detected';
+        const style = {
+            color: this.skeletonOverlay.colors[this.handednessLabel(handIndex)],
+            lineWidth: this.skeletonOverlay.lineWidth
+        };
+        const margin = POSE_COSTUME_MARGIN + (style.lineWidth * 1.5);
+        const area = {
+            left: box.left - margin,
+            right: box.right + margin,
+            top: box.top + margin,
+            bottom: box.bottom - margin
+        };
+        let background;
+        if (Cast.toString(args.POSE_CONTENT) === 'camera') {
+            const capture = this.captureCameraRegion(area);
+            if (capture) {
+                background = {dataURL: capture.canvas.toDataURL('image/png'), box: capture.box};
+            }
+        }
+        const points = this.hands.landmarks[handIndex].map(landmark => this.landmarkToStage(landmark));
+        const svg = skeletonToSVG(points, area, style, background);
+        try {
+            await insertImageAsSvgCostume(
+                this.runtime,
+                util.target,
+                `data:image/svg+xml;base64,${btoa(svg)}`,
+                area.right - area.left,
+                area.top - area.bottom,
+                Cast.toString(args.NAME)
+            );
+            return 'Costume saved';
+        } catch (error) {
+            console.error('Error saving hand as costume:', error);
+            return error.message;
+        }
+    }
+
+    /**
+     * Capture the camera image around a specific hand as a new bitmap costume of the sprite.
+     * The current costume is not changed.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.MARGIN - the margin around the hand in the stage unit
+     * @param {string} args.NAME - the name of the costume
+     * @param {object} util - utility object provided by the runtime
+     * @returns {Promise<string>} - a promise that resolves with the result message
+     */
+    async captureHandAsCostume (args, util) {
+        const box = this.handBoundingBox(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!box) return 'Hand not detected';
+        const margin = Math.max(Cast.toNumber(args.MARGIN), 0);
+        const capture = this.captureCameraRegion({
+            left: box.left - margin,
+            right: box.right + margin,
+            top: box.top + margin,
+            bottom: box.bottom - margin
+        });
+        if (!capture) return 'Camera image not available';
+        try {
+            await addImageAsCostume(
+                util.target,
+                capture.canvas.toDataURL('image/png'),
+                this.runtime,
+                Cast.toString(args.NAME)
+            );
+            return 'Costume captured';
+        } catch (error) {
+            console.error('Error capturing hand as costume:', error);
+            return error.message;
+        }
+    }
+
+    /**
+     * Get the recordings in the extension storage of the stage, which is saved in the project
+     * without being shown to the user. Runtimes which do not have it store the recordings in stage variables.
+     * @param {boolean} create - true to create the storage if it does not exist
+     * @returns {Object<string, object>?} - the recordings by the name, null if they cannot be stored in it
+     */
+    storedRecordings (create) {
+        const stage = this.runtime.getTargetForStage();
+        if (!stage || !stage.extensionStorage) return null;
+        if (!stage.extensionStorage[EXTENSION_ID]) {
+            if (!create) return null;
+            stage.extensionStorage[EXTENSION_ID] = {};
+        }
+        const storage = stage.extensionStorage[EXTENSION_ID];
+        if (!storage.recordings) {
+            if (!create) return null;
+            storage.recordings = {};
+        }
+        return storage.recordings;
+    }
+
+    /**
+     * Get the variable of the stage which stores a recording.
+     * Recordings are stored in the stage variables when the runtime does not have the extension storage.
+     * @param {string} name - the name of the recording
+     * @param {boolean} create - true to create the variable if it does not exist
+     * @returns {Variable?} - the variable, null if it does not exist
+     */
+    recordingVariable (name, create) {
+        const stage = this.runtime.getTargetForStage();
+        if (!stage) return null;
+        const id = `${EXTENSION_ID}_recording_${name}`;
+        const variableName = `${EXTENSION_ID} recording: ${name}`;
+        if (create) return stage.lookupOrCreateVariable(id, variableName);
+        return stage.lookupVariableById(id) || stage.lookupVariableByNameAndType(variableName, '') || null;
+    }
+
+    /**
+     * Get the names of the recordings which are stored in the project.
+     * @returns {Array<string>} - the names of the recordings
+     */
+    recordingNames () {
+        const recordings = this.storedRecordings(false);
+        const names = recordings ? Object.keys(recordings) : [];
+        const stage = this.runtime.getTargetForStage();
+        if (!stage || !stage.variables) return names;
+        const prefix = `${EXTENSION_ID} recording: `;
+        Object.values(stage.variables)
+            .filter(variable => variable.type === '' && variable.name.startsWith(prefix))
+            .map(variable => variable.name.slice(prefix.length))
+            .forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        return names;
+    }
+
+    /**
+     * Store a recording in the project.
+     * @param {string} name - the name of the recording
+     * @param {{version: number, frames: Array<object>}} recording - the recording
+     */
+    storeRecording (name, recording) {
+        const recordings = this.storedRecordings(true);
+        if (recordings) {
+            recordings[name] = recording;
+        } else {
+            const variable = this.recordingVariable(name, true);
+            if (!variable) return;
+            variable.value = JSON.stringify(recording);
+        }
+        this.runtime.emitProjectChanged();
+    }
+
+    /**
+     * Get a recording which is stored in the project.
+     * The recordings in stage variables are also found to replay the projects which were saved with them.
+     * @param {string} name - the name of the recording
+     * @returns {{version: number, frames: Array<object>}?} - the recording, null if it is not found
+     */
+    getRecording (name) {
+        const recordings = this.storedRecordings(false);
+        if (recordings && Object.prototype.hasOwnProperty.call(recordings, name)) {
+            return validateRecording(recordings[name]);
+        }
+        const variable = this.recordingVariable(name, false);
+        if (!variable) return null;
+        return parseRecording(Cast.toString(variable.value));
+    }
+
+    /**
+     * Delete a recording from the project.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the name of the recording
+     */
+    deleteRecording (args) {
+        const name = Cast.toString(args.NAME);
+        let deleted = false;
+        const recordings = this.storedRecordings(false);
+        if (recordings && Object.prototype.hasOwnProperty.call(recordings, name)) {
+            delete recordings[name];
+            deleted = true;
+        }
+        const variable = this.recordingVariable(name, false);
+        if (variable) {
+            this.runtime.getTargetForStage().deleteVariable(variable.id);
+            deleted = true;
+        }
+        if (deleted) {
+            this.runtime.emitProjectChanged();
+        }
+    }
+
+    /**
+     * Start recording the hand results which are given to the blocks.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the name of the recording
+     */
+    startRecordingHands (args) {
+        this.recordingName = Cast.toString(args.NAME);
+        this.handRecorder.start(performance.now());
+    }
+
+    /**
+     * Stop recording and store the recording in the project.
+     */
+    stopRecordingHands () {
+        const recording = this.handRecorder.stop();
+        if (!recording) return;
+        this.storeRecording(this.recordingName, recording);
+    }
+
+    /**
+     * Start replaying a recording. The results are given to the blocks at the recorded timing
+     * in place of the detection on camera.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the name of the recording
+     * @returns {string?} - the error message if the recording could not be replayed
+     */
+    replayRecording (args) {
+        let recording;
+        try {
+            recording = this.getRecording(Cast.toString(args.NAME));
+        } catch (error) {
+            console.error('Error loading recording:', error);
+            return error.message;
+        }
+        if (!recording) return 'Recording not found';
+        this.stopReplaying();
+        this.handTracker.reset();
+        this.handFilters = {};
+        const frames = recording.frames;
+        const startTime = performance.now();
+        let frameIndex = 0;
+        const replayFrames = () => {
+            const elapsed = performance.now() - startTime;
+            try {
+                while (frameIndex < frames.length && frames[frameIndex].time <= elapsed) {
+                    const frame = frames[frameIndex];
+                    this.updateHands(frame.result, frame.gestureResult, frame.frame || {}, HandSource.REPLAY);
+                    frameIndex++;
+                }
+            } catch (error) {
+                // Stop replaying, otherwise it would be replaying forever.
+                console.error('Error replaying recording:', error);
+                frameIndex = frames.length;
+            }
+            if (frameIndex >= frames.length) {
+                this.replayTimer = null;
+                return;
+            }
+            this.replayTimer = setTimeout(replayFrames, frames[frameIndex].time - elapsed);
+        };
+        this.replayTimer = setTimeout(replayFrames, 0);
+    }
+
+    /**
+     * Stop replaying a recording.
+     */
+    stopReplaying () {
+        if (this.replayTimer === null) return;
+        clearTimeout(this.replayTimer);
+        this.replayTimer = null;
+    }
+
+    /**
+     * Whether a recording is being replayed.
+     * @returns {boolean} - true if replaying
+     */
+    isReplaying () {
+        return this.replayTimer !== null;
+    }
+
+    /**
+     * Download the current hands or a recording as a file.
+     * JSON of the current hands is a HandLandmarkerResult and JSON of a recording is the recording itself.
+     * CSV has a row for each hand in each frame.
+     * @param {object} args - the block arguments
+     * @param {string} args.DATA - '_current_' or the name of a recording
+     * @param {string} args.FILE_FORMAT - 'json' or 'csv'
+     * @returns {string?} - the error message if the data could not be downloaded
+     */
+    downloadHands (args) {
+        const data = Cast.toString(args.DATA);
+        const format = Cast.toString(args.FILE_FORMAT) === 'csv' ? 'csv' : 'json';
+        let content;
+        if (data === '_current_') {
+            const result = (this.hands && this.hands.handednesses) ?
+                {
+                    landmarks: this.hands.landmarks,
+                    worldLandmarks: this.hands.worldLandmarks,
+                    handednesses: this.hands.handednesses
+                } :
+                {landmarks: [], worldLandmarks: [], handednesses: []};
+            content = format === 'csv' ? recordingToCSV(resultToRecording(result)) : JSON.stringify(result);
+        } else {
+            let recording;
+            try {
+                recording = this.getRecording(data);
+            } catch (error) {
+                console.error('Error loading recording:', error);
+                return error.message;
+            }
+            if (!recording) return 'Recording not found';
+            content = format === 'csv' ? recordingToCSV(recording) : JSON.stringify(recording);
+        }
+        const fileName = data === '_current_' ? 'hands' : data;
+        downloadTextFile(content, `${fileName}.${format}`, format === 'csv' ? 'text/csv' : 'application/json');
+    }
+
+    /**
+     * Load a JSON or CSV file of hands which the user chooses and store it as a recording.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the name of the recording
+     * @returns {Promise<string>} - a promise that resolves with the result message
+     */
+    loadHandsFile (args) {
+        const name = Cast.toString(args.NAME);
+        return openTextFile('.json,.csv,application/json,text/csv')
+            .then(text => {
+                this.storeRecording(name, parseHandsFile(text));
+                return 'Recording loaded';
+            })
+            .catch(error => {
+                console.error('Error loading hands file:', error);
+                return error.message;
+            });
+    }
+
+    /**
+     * Get the number of detected hands.
+     * @returns {number} - the number of detected hands
+     */
+    numberOfHands () {
+        if (!this.hands || !this.hands.handednesses) {
+            return 0;
+        }
+        return this.hands.handednesses.length;
+    }
+
+    /**
+     * Get the landmark data of a specific landmark on a specific hand.
+     * @param {number} handIndex - the hand index (0-based)
+     * @param {number} landmarkIndex - the landmark index (0-20)
+     * @returns {object} - the landmark data
+     */
+    handLandmark (handIndex, landmarkIndex) {
+        if (!this.hands || !this.hands.handednesses) {
+            return null;
+        }
+
+        // Check if the hand and landmark exist
+        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) return null;
+        if (landmarkIndex < 0 || landmarkIndex > 20) return null; // MediaPipe hand has 21 landmarks (0-20)
+
+        return this.hands.landmarks[handIndex][landmarkIndex];
+    }
+
+    /**
+     * Convert a landmark to the position on the stage.
+     * @param {object} landmark - the landmark in MediaPipe normalized coordinates
+     * @returns {{x: number, y: number}} - the position in Scratch coordinate system
+     */
+    landmarkToStage (landmark) {
+        // Size of the image on the stage, which is centered and may be letterboxed or cropped
+        const size = fitFrameSize(this.frameSize, this.stageSize(), this.frameFit);
+        return {
+            // Convert the x coordinate to Scratch coordinate system (center is 0,0, right is positive)
+            // MediaPipe coordinates are normalized (0-1) where 0 is left, 1 is right of the image,
+            // which is flipped when the stage shows the video without mirroring
+            x: (this.flipX ? 0.5 - landmark.x : landmark.x - 0.5) * size.width,
+            // Convert the y coordinate to Scratch coordinate system (center is 0,0, up is positive)
+            // MediaPipe coordinates are normalized (0-1) where 0 is top, 1 is bottom
+            y: (0.5 - landmark.y) * size.height // Scale to the height on the stage and invert
+        };
+    }
+
+    /**
+     * Get the X coordinate of a specific landmark on a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the X coordinate of the landmark
+     */
+    handLandmarkX (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+
+        const landmark = this.handLandmark(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        return this.landmarkToStage(landmark).x;
+    }
+
+    /**
+     * Get the Y coordinate of a specific landmark on a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the Y coordinate of the landmark
+     */
+    handLandmarkY (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+
+        const landmark = this.handLandmark(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        return this.landmarkToStage(landmark).y;
+    }
+
+    /**
+     * Get the Z coordinate of a specific landmark on a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the Z coordinate of the landmark
+     */
+    handLandmarkZ (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+
+        const landmark = this.handLandmark(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        
+        // Z is depth, with negative values being closer to the camera
+        // Scale the z value to make it more usable in Scratch
+        return landmark.z * 200;
     }
 
     /**
-     * A scratch command block handle that configures the video state from
-     * passed arguments.
+     * Get the handedness of a specific hand.
      * @param {object} args - the block arguments
-     * @param {VideoState} args.VIDEO_STATE - the video state to set the device to
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {string} - the handedness of the hand
      */
-    videoToggle (args) {
-        const state = args.VIDEO_STATE;
-        this.globalVideoState = state;
-        if (state === VideoState.OFF) {
-            this.runtime.ioDevices.video.disableVideo();
-        } else {
-            this.runtime.ioDevices.video.enableVideo();
-            // Mirror if state is ON. Do not mirror if state is ON_FLIPPED.
-            this.runtime.ioDevices.video.mirror = state === VideoState.ON;
+    handedness (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        if (!this.hands || !this.hands.handednesses) {
+            return ' ';
         }
+        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) {
+            return ' ';
+        }
+        return this.handednessLabel(handIndex);
     }
 
     /**
-     * A scratch command block handle that configures the video preview's
-     * transparency from passed arguments.
+     * Get the confidence score of the handedness of a specific hand.
      * @param {object} args - the block arguments
-     * @param {number} args.TRANSPARENCY - the transparency to set the video
-     *   preview to
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the score (0-1), or 0 when the hand is not detected
      */
-    setVideoTransparency (args) {
-        const transparency = Cast.toNumber(args.TRANSPARENCY);
-        this.globalVideoTransparency = transparency;
-        this.runtime.ioDevices.video.setPreviewGhost(transparency);
+    handednessConfidence (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        if (!this.hands || !this.hands.handednesses) {
+            return 0;
+        }
+        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) {
+            return 0;
+        }
+        return this.hands.handednesses[handIndex][0].score;
     }
 
     /**
-     * Set whether the camera should be flipped.
+     * Get the relative landmark data of a specific landmark on a specific hand.
+     * @param {number} handIndex - the hand index (0-based)
+     * @param {number} landmarkIndex - the landmark index (0-20)
+     * @returns {object} - the landmark data
+     */
+    handLandmarkRelative (handIndex, landmarkIndex) {
+        if (!this.hands || !this.hands.handednesses) {
+            return null;
+        }
+
+        // Check if the hand and landmark exist
+        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) return null;
+        if (landmarkIndex < 0 || landmarkIndex > 20) return null; // MediaPipe hand has 21 landmarks (0-20)
+
+        return this.hands.worldLandmarks[handIndex][landmarkIndex];
+    }
+
+    /**
+     * Get the relative X coordinate of a specific landmark on a specific hand.
      * @param {object} args - the block arguments
-     * @param {string} args.DIRECTION - 'mirrored' or 'flipped'
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the relative X coordinate of the landmark
      */
-    setCameraDirection (args) {
-        const direction = args.DIRECTION;
-        this.runtime.ioDevices.video.mirror = direction === 'mirrored';
+    handLandmarkRelativeX (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+
+        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        // Flip the x to match the stage as same as the x on the stage
+        return this.flipX ? -landmark.x : landmark.x;
     }
 
     /**
-     * Start hand detection with the specified video state.
+     * Get the relative Y coordinate of a specific landmark on a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the relative Y coordinate of the landmark
      */
-    startHandDetection () {
-        // Turn on the video if it is off
-        const state = this.globalVideoState;
-        if (state === VideoState.OFF) {
-            this.runtime.ioDevices.video.enableVideo();
-            // Mirror the video for hand detection
-            this.runtime.ioDevices.video.mirror = true;
-        }
+    handLandmarkRelativeY (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
 
-        if (this.handDetecting) {
-            return;
+        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        // Invert the y coordinate for Scratch coordinate system (up is positive)
+        return -landmark.y;
+    }
+
+    /**
+     * Get the relative Z coordinate of a specific landmark on a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index (0-20)
+     * @returns {number} - the relative Z coordinate of the landmark
+     */
+    handLandmarkRelativeZ (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+
+        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
+        if (!landmark) return 0;
+        return landmark.z;
+    }
+
+    /**
+     * Get all the landmarks of a specific hand as the landmark reporters give them.
+     * @param {number} handIndex - the hand index (0-based)
+     * @param {string} coordinate - 'stage' for the stage coordinates or 'relative' for the world landmarks
+     * @returns {Array<{x: number, y: number, z: number}>} - the 21 landmarks, empty if the hand is not detected
+     */
+    handLandmarkPositions (handIndex, coordinate) {
+        if (!this.hands || !this.hands.handednesses) return [];
+        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) return [];
+        if (coordinate === 'relative') {
+            return this.hands.worldLandmarks[handIndex].map(landmark => ({
+                x: this.flipX ? -landmark.x : landmark.x,
+                y: -landmark.y,
+                z: landmark.z
+            }));
         }
+        return this.hands.landmarks[handIndex].map(landmark => {
+            const position = this.landmarkToStage(landmark);
+            return {x: position.x, y: position.y, z: landmark.z * 200};
+        });
+    }
 
-        // Start the detection loop
-        this.handDetecting = true;
-        const detectFrame = async () => {
-            if (!this.handDetecting) {
-                return;
-            }
+    /**
+     * Replace the items of a list of the target, or of the stage if the target does not have it.
+     * @param {Target} target - the target which runs the block
+     * @param {string} name - the name of the list
+     * @param {Array<string|number>} items - the new items
+     * @returns {boolean} - false if the list was not found
+     */
+    replaceListItems (target, name, items) {
+        const list = target.lookupVariableByNameAndType(name, 'list');
+        if (!list) return false;
+        list.value = items;
+        list._monitorUpToDate = false;
+        return true;
+    }
+
+    /**
+     * Put all the landmarks of a specific hand into a list.
+     * The list is emptied when the hand is not detected.
+     * @param {object} args - the block arguments
+     * @param {string} args.COORDINATE - 'stage' or 'relative'
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.LIST - the name of the list
+     * @param {string} args.LIST_FORMAT - 'xyz', 'xy', 'x', 'y' or 'z' as the coordinates of each landmark
+     * @param {object} util - utility object provided by the runtime
+     * @returns {string?} - the error message if the list was not found
+     */
+    putLandmarksIntoList (args, util) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const positions = this.handLandmarkPositions(handIndex, Cast.toString(args.COORDINATE));
+        const axes = Cast.toString(args.LIST_FORMAT).split('')
+            .filter(axis => axis === 'x' || axis === 'y' || axis === 'z');
+        const items = positions.reduce(
+            (values, position) => values.concat(axes.map(axis => position[axis])),
+            []
+        );
+        if (!this.replaceListItems(util.target, Cast.toString(args.LIST), items)) {
+            return 'List not found';
+        }
+    }
 
-            // Get the current video frame
-            const image = this.runtime.ioDevices.video.getFrame(
-                'image-data', [480, 360]
+    /**
+     * Put the summary of all the hands into a list.
+     * Each hand has 5 items in order: handedness, ID, x and y of the palm center and size.
+     * @param {object} args - the block arguments
+     * @param {string} args.LIST - the name of the list
+     * @param {object} util - utility object provided by the runtime
+     * @returns {string?} - the error message if the list was not found
+     */
+    putHandsSummaryIntoList (args, util) {
+        const items = [];
+        for (let handIndex = 0; handIndex < this.numberOfHands(); handIndex++) {
+            const center = this.handPalmCenter(handIndex);
+            items.push(
+                this.handednessLabel(handIndex),
+                this.handIds[handIndex] || 0,
+                center.x,
+                center.y,
+                this.handStageSize(handIndex)
             );
-            if (!image) {
-                this.detectionInterval = setTimeout(detectFrame, this.detectionIntervalTime);
-                return;
-            }
-            try {
-                // Send the frame to the hand detection model
-                const result = await detect(image);
-                if (!result.handednesses || !result.handednesses[0]) {
-                    this.hands = null;
-                } else {
-                    this.hands = result;
-                }
-            } catch (error) {
-                console.error('Error detecting hand:', error);
-            } finally {
-                // Schedule next detection
-                this.detectionInterval = setTimeout(detectFrame, this.detectionIntervalTime);
-            }
+        }
+        if (!this.replaceListItems(util.target, Cast.toString(args.LIST), items)) {
+            return 'List not found';
+        }
+    }
+
+    /**
+     * Get the box around all the landmarks of a specific hand on the stage.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {?{left: number, right: number, top: number, bottom: number}} - the box in Scratch coordinates,
+     *  null if the hand is not detected
+     */
+    handBoundingBox (handIndex) {
+        if (!this.hands || !this.hands.landmarks) return null;
+        if (handIndex < 0 || handIndex >= this.hands.landmarks.length) return null;
+        const positions = this.hands.landmarks[handIndex].map(landmark => this.landmarkToStage(landmark));
+        const xs = positions.map(position => position.x);
+        const ys = positions.map(position => position.y);
+        return {
+            left: Math.min(...xs),
+            right: Math.max(...xs),
+            top: Math.max(...ys),
+            bottom: Math.min(...ys)
         };
+    }
 
-        // Start the detection loop
-        this.detectionInterval = setTimeout(detectFrame, this.detectionIntervalTime);
+    /**
+     * Get the box around a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.BOUNDS - 'left', 'right', 'top', 'bottom', 'width' or 'height'
+     * @returns {number} - the edge or the size of the box in the stage coordinates
+     */
+    handBounds (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const box = this.handBoundingBox(handIndex);
+        if (!box) return 0;
+        const bounds = Cast.toString(args.BOUNDS);
+        if (bounds === 'width') return box.right - box.left;
+        if (bounds === 'height') return box.top - box.bottom;
+        if (!Object.prototype.hasOwnProperty.call(box, bounds)) return 0;
+        return box[bounds];
+    }
+
+    /**
+     * Get the center of the palm of a specific hand on the stage.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {?{x: number, y: number}} - the position in Scratch coordinates, null if the hand is not detected
+     */
+    handPalmCenter (handIndex) {
+        if (!this.hands || !this.hands.landmarks) return null;
+        if (handIndex < 0 || handIndex >= this.hands.landmarks.length) return null;
+        return this.landmarkToStage(palmCenter(this.hands.landmarks[handIndex]));
+    }
+
+    /**
+     * Get the X coordinate of the palm center of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the X coordinate of the average of the wrist and the MCP joints
+     */
+    palmCenterX (args) {
+        const center = this.handPalmCenter(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!center) return 0;
+        return center.x;
+    }
+
+    /**
+     * Get the Y coordinate of the palm center of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the Y coordinate of the average of the wrist and the MCP joints
+     */
+    palmCenterY (args) {
+        const center = this.handPalmCenter(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!center) return 0;
+        return center.y;
+    }
+
+    /**
+     * Get the apparent size of a specific hand on the stage.
+     * It is the length from the wrist to the middle finger MCP,
+     * which does not change when the fingers curl or spread.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {number} - the size in the stage unit, 0 if the hand is not detected
+     */
+    handStageSize (handIndex) {
+        const wrist = this.handLandmark(handIndex, 0);
+        const middleMCP = this.handLandmark(handIndex, 9);
+        if (!wrist || !middleMCP) return 0;
+        return distance(this.landmarkToStage(wrist), this.landmarkToStage(middleMCP));
+    }
+
+    /**
+     * Get the apparent size of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the size in the stage unit
+     */
+    handSize (args) {
+        return this.handStageSize(this.resolveHandIndex(args.HAND_NUMBER));
+    }
+
+    /**
+     * Get the real world size of a unit on the stage around a specific hand.
+     * It is estimated from the length between the wrist and the middle finger MCP.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {number} - meters per stage unit, 0 if it could not be estimated
+     */
+    handWorldScale (handIndex) {
+        const worldWrist = this.handLandmarkRelative(handIndex, 0);
+        const worldMiddleMCP = this.handLandmarkRelative(handIndex, 9);
+        if (!worldWrist || !worldMiddleMCP) return 0;
+        const stageLength = this.handStageSize(handIndex);
+        if (stageLength === 0) return 0;
+        return distance(worldWrist, worldMiddleMCP) / stageLength;
+    }
+
+    /**
+     * Get the distance between two landmarks.
+     * In world unit, the distance in the same hand is taken from the world landmarks.
+     * The world landmarks of each hand have its own origin, so the distance between different hands
+     * is estimated from the distance on the stage and the scales of the hands.
+     * @param {number} handIndex - the hand index of the first landmark (0-based)
+     * @param {number} landmarkIndex - the first landmark index (0-20)
+     * @param {number} otherHandIndex - the hand index of the second landmark (0-based)
+     * @param {number} otherLandmarkIndex - the second landmark index (0-20)
+     * @param {string} unit - 'stage' for the stage coordinates or 'world' for centimeters
+     * @returns {number?} - the distance, null if the landmarks are not found
+     */
+    landmarkDistance (handIndex, landmarkIndex, otherHandIndex, otherLandmarkIndex, unit) {
+        const landmark = this.handLandmark(handIndex, landmarkIndex);
+        const otherLandmark = this.handLandmark(otherHandIndex, otherLandmarkIndex);
+        if (!landmark || !otherLandmark) return null;
+        const stageDistance = distance(this.landmarkToStage(landmark), this.landmarkToStage(otherLandmark));
+        if (unit !== 'world') {
+            return stageDistance;
+        }
+        if (handIndex === otherHandIndex) {
+            const worldLandmark = this.handLandmarkRelative(handIndex, landmarkIndex);
+            const otherWorldLandmark = this.handLandmarkRelative(otherHandIndex, otherLandmarkIndex);
+            if (!worldLandmark || !otherWorldLandmark) return null;
+            return distance(worldLandmark, otherWorldLandmark) * 100;
+        }
+        const scale = (this.handWorldScale(handIndex) + this.handWorldScale(otherHandIndex)) / 2;
+        return stageDistance * scale * 100;
+    }
+
+    /**
+     * Get the distance between two landmarks of the hands.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number of the first landmark (1-based order or ID)
+     * @param {number} args.LANDMARK - the first landmark index (0-20)
+     * @param {number} args.OTHER_HAND_NUMBER - the hand number of the second landmark (1-based order or ID)
+     * @param {number} args.OTHER_LANDMARK - the second landmark index (0-20)
+     * @param {string} args.UNIT - 'stage' or 'world'
+     * @returns {number} - the distance in stage unit or centimeters
+     */
+    distanceBetweenLandmarks (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+        const otherHandIndex = this.resolveHandIndex(args.OTHER_HAND_NUMBER);
+        const otherLandmarkIndex = Cast.toNumber(args.OTHER_LANDMARK);
+        const result = this.landmarkDistance(
+            handIndex, landmarkIndex, otherHandIndex, otherLandmarkIndex, args.UNIT);
+        if (result === null) return 0;
+        return result;
+    }
+
+    /**
+     * Check if a hand is pinching with the thumb tip and the index finger tip.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {boolean} - true if the hand is pinching
+     */
+    isPinching (handIndex) {
+        const gap = this.landmarkDistance(handIndex, 4, handIndex, 8, 'world');
+        if (gap === null) return false;
+        return gap < this.pinchThreshold;
+    }
+
+    /**
+     * Get the IDs of the pinching hands.
+     * @returns {Array<number>} - the IDs of the pinching hands
+     */
+    pinchingHandIds () {
+        const ids = [];
+        for (let handIndex = 0; handIndex < this.numberOfHands(); handIndex++) {
+            if (this.isPinching(handIndex)) ids.push(this.handIds[handIndex]);
+        }
+        return ids;
+    }
+
+    /**
+     * Check if a specific hand is pinching.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {boolean} - true if the hand is pinching
+     */
+    isHandPinching (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        return this.isPinching(handIndex);
+    }
+
+    /**
+     * Get the distance between the thumb tip and the index finger tip to be a pinch.
+     * @returns {number} - the threshold in centimeters
+     */
+    getPinchThreshold () {
+        return this.pinchThreshold;
+    }
+
+    /**
+     * Set the distance between the thumb tip and the index finger tip to be a pinch.
+     * @param {object} args - the block arguments
+     * @param {number} args.THRESHOLD - the threshold in centimeters
+     */
+    setPinchThreshold (args) {
+        const threshold = Cast.toNumber(args.THRESHOLD);
+        this.pinchThreshold = Math.max(0, threshold);
+    }
+
+    /**
+     * Hat block which is started when a hand starts or ends pinching.
+     * @param {object} args - the block arguments
+     * @param {string} args.PINCH_EVENT - 'starts' or 'ends'
+     * @returns {boolean} - true if the pinch event happened
+     */
+    whenPinch (args) {
+        if (args.PINCH_EVENT === 'ends') {
+            return this.pinchEnded;
+        }
+        return this.pinchStarted;
+    }
+
+    /**
+     * Get the angle at a landmark between two other landmarks of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.LANDMARK - the landmark index at the vertex (0-20)
+     * @param {number} args.LANDMARK_A - a landmark index (0-20)
+     * @param {number} args.LANDMARK_B - the other landmark index (0-20)
+     * @returns {number} - the angle in degrees (0-180)
+     */
+    angleAtLandmark (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarkIndexes = [args.LANDMARK, args.LANDMARK_A, args.LANDMARK_B].map(Cast.toNumber);
+        if (landmarkIndexes.some(index => !Number.isInteger(index) || index < 0 || index > 20)) return 0;
+        const landmarks = this.handShapeLandmarks(handIndex);
+        if (!landmarks) return 0;
+        return angleAt(landmarks, ...landmarkIndexes);
+    }
+
+    /**
+     * Get the rotation of a specific hand on the stage.
+     * It is the direction from the wrist to the middle finger MCP in Scratch direction
+     * (0: up, 90: right, -90: left, 180: down).
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {?number} - the direction in degrees, null if the hand is not detected
+     */
+    handStageRotation (handIndex) {
+        const wrist = this.handLandmark(handIndex, 0);
+        const middleMCP = this.handLandmark(handIndex, 9);
+        if (!wrist || !middleMCP) return null;
+        const from = this.landmarkToStage(wrist);
+        const to = this.landmarkToStage(middleMCP);
+        return Math.atan2(to.x - from.x, to.y - from.y) * 180 / Math.PI;
+    }
+
+    /**
+     * Get the rotation of a specific hand on the stage.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the direction in degrees
+     */
+    handRotationOnStage (args) {
+        const rotation = this.handStageRotation(this.resolveHandIndex(args.HAND_NUMBER));
+        if (rotation === null) return 0;
+        return rotation;
+    }
+
+    /**
+     * Move a sprite toward a landmark of a hand.
+     * @param {RenderedTarget} target - the sprite to move
+     * @param {number} handIndex - the hand index (0-based)
+     * @param {number} landmarkIndex - the landmark index (0-20)
+     * @param {string} rotation - 'keep' to keep the direction or 'turn' to turn with the hand
+     * @param {number} rate - the ratio of the distance to move (0-1), 1 goes to the landmark at once
+     */
+    moveTargetTowardLandmark (target, handIndex, landmarkIndex, rotation, rate) {
+        if (!target || target.isStage) return;
+        const landmark = this.handLandmark(handIndex, landmarkIndex);
+        if (!landmark) return;
+        const position = this.landmarkToStage(landmark);
+        target.setXY(
+            target.x + ((position.x - target.x) * rate),
+            target.y + ((position.y - target.y) * rate)
+        );
+        if (rotation !== 'turn') return;
+        const direction = this.handStageRotation(handIndex);
+        // Turn the shorter way (-180 to 180)
+        const turn = ((((direction - target.direction) % 360) + 540) % 360) - 180;
+        target.setDirection(target.direction + (turn * rate));
+    }
+
+    /**
+     * Move the sprite to a landmark of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {string} args.LANDMARK - the landmark index (0-20)
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.ROTATION - 'keep' or 'turn'
+     * @param {object} util - utility object provided by the runtime
+     */
+    goToHandLandmark (args, util) {
+        this.moveTargetTowardLandmark(
+            util.target,
+            this.resolveHandIndex(args.HAND_NUMBER),
+            Cast.toNumber(args.LANDMARK),
+            Cast.toString(args.ROTATION),
+            1
+        );
+    }
+
+    /**
+     * Move the sprite a part of the way to a landmark of a specific hand.
+     * Repeating it makes the sprite trail the landmark smoothly.
+     * @param {object} args - the block arguments
+     * @param {string} args.LANDMARK - the landmark index (0-20)
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {number} args.SPEED - the percentage of the distance to move (0-100)
+     * @param {string} args.ROTATION - 'keep' or 'turn'
+     * @param {object} util - utility object provided by the runtime
+     */
+    glideTowardHandLandmark (args, util) {
+        const speed = Math.min(Math.max(Cast.toNumber(args.SPEED), 0), 100);
+        this.moveTargetTowardLandmark(
+            util.target,
+            this.resolveHandIndex(args.HAND_NUMBER),
+            Cast.toNumber(args.LANDMARK),
+            Cast.toString(args.ROTATION),
+            speed / 100
+        );
     }
 
     /**
-     * Stop hand detection.
+     * Get the points on the stage to hit-test a part of a specific hand.
+     * The whole hand is sampled at the landmarks and along the bones between them.
+     * @param {number} handIndex - the hand index (0-based)
+     * @param {string} part - the landmark index (0-20) or 'any' for the whole hand
+     * @returns {Array<{x: number, y: number}>} - the points in Scratch coordinates,
+     *  empty if not detected or the part is unknown
      */
-    stopHandDetection () {
-        this.handDetecting = false;
-        
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
+    handTouchPoints (handIndex, part) {
+        if (!this.hands || !this.hands.landmarks) return [];
+        if (handIndex < 0 || handIndex >= this.hands.landmarks.length) return [];
+        const positions = this.hands.landmarks[handIndex].map(landmark => this.landmarkToStage(landmark));
+        if (part !== 'any') {
+            // A text from a reporter must not be taken as the wrist.
+            const landmarkIndex = part.trim() === '' ? NaN : Number(part);
+            if (!Number.isInteger(landmarkIndex) || landmarkIndex < 0 || landmarkIndex > 20) return [];
+            return [positions[landmarkIndex]];
         }
+        const points = positions.slice();
+        HAND_CONNECTIONS.forEach(([from, to]) => {
+            const start = positions[from];
+            const end = positions[to];
+            const steps = Math.ceil(distance(start, end) / TOUCH_SAMPLE_SPACING);
+            for (let step = 1; step < steps; step++) {
+                points.push({
+                    x: start.x + ((end.x - start.x) * step / steps),
+                    y: start.y + ((end.y - start.y) * step / steps)
+                });
+            }
+        });
+        return points;
+    }
 
-        // Clear the hands data
-        this.hands = [];
+    /**
+     * Check if any of the points touches the rendered pixels of a sprite.
+     * @param {RenderedTarget} target - the sprite to test
+     * @param {Array<{x: number, y: number}>} points - the points in Scratch coordinates
+     * @returns {boolean} - true if a point is on an opaque pixel of the sprite
+     */
+    isTargetTouchingPoints (target, points) {
+        const renderer = this.runtime.renderer;
+        if (!renderer || !renderer.drawableTouching || !renderer.canvas) return false;
+        if (!target || target.isStage || !target.visible) return false;
+        if (points.length === 0) return false;
+        // drawableTouching() takes the client coordinates on the canvas as the mouse-pointer sensing does.
+        const [stageWidth, stageHeight] = renderer.getNativeSize();
+        const {clientWidth, clientHeight} = renderer.canvas;
+        if (!clientWidth || !clientHeight) return false;
+        return points.some(point => renderer.drawableTouching(
+            target.drawableID,
+            (point.x + (stageWidth / 2)) * clientWidth / stageWidth,
+            ((stageHeight / 2) - point.y) * clientHeight / stageHeight
+        ));
     }
 
     /**
-     * Check if hand detection is currently active.
-     * @returns {boolean} - true if hand detection is active
+     * Get the sprites to test touching.
+     * @param {string} spriteName - the sprite name or '_myself_'
+     * @param {RenderedTarget} myself - the sprite which is running the block
+     * @returns {Array<RenderedTarget>} - the sprite and its clones
      */
-    isHandDetecting () {
-        return this.handDetecting;
+    touchingTargets (spriteName, myself) {
+        if (spriteName === '_myself_') return myself ? [myself] : [];
+        const target = this.runtime.getSpriteTargetByName ?
+            this.runtime.getSpriteTargetByName(spriteName) :
+            null;
+        if (!target) return [];
+        return target.sprite.clones;
     }
 
     /**
-     * Get the interval time for the detection loop.
-     * @returns {number} - the interval time in milliseconds
+     * Hat block which is started when a part of a specific hand starts touching the sprite.
+     * @param {object} args - the block arguments
+     * @param {string} args.PART - the landmark index (0-20) or 'any'
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {object} util - utility object provided by the runtime
+     * @returns {boolean} - true while the hand is touching the sprite
      */
-    getDetectionIntervalTime () {
-        return this.detectionIntervalTime;
+    whenHandTouchesSprite (args, util) {
+        return this.isHandTouchingSprite(Object.assign({}, args, {SPRITE: '_myself_'}), util);
     }
 
     /**
-     * Set the interval time for the detection loop.
+     * Check if a part of a specific hand is touching a sprite.
      * @param {object} args - the block arguments
-     * @param {number} args.TIME - the interval time in milliseconds
+     * @param {string} args.PART - the landmark index (0-20) or 'any'
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.SPRITE - the sprite name or '_myself_'
+     * @param {object} util - utility object provided by the runtime
+     * @returns {boolean} - true if the hand is on the rendered pixels of the sprite
      */
-    setDetectionIntervalTime (args) {
-        const time = Cast.toNumber(args.TIME);
-        this.detectionIntervalTime = Math.max(0, time);
+    isHandTouchingSprite (args, util) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const points = this.handTouchPoints(handIndex, Cast.toString(args.PART));
+        if (points.length === 0) return false;
+        return this.touchingTargets(Cast.toString(args.SPRITE), util.target)
+            .some(target => this.isTargetTouchingPoints(target, points));
     }
 
     /**
-     * Detect hand on the stage.
-     * @returns {Promise} - a promise that resolves when the hand is detected
+     * Get the orientation of a specific hand in 3D.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {object?} - the orientation which has pitch, yaw, roll and palmFacing
      */
-    detectHandOnStage () {
-        return new Promise(resolve => {
-            this.runtime.renderer.requestSnapshot(imageDataURL => {
-                const image = new Image();
-                image.onload = async () => {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = 480;
-                    canvas.height = 360;
-                    const context = canvas.getContext('2d');
-                    context.drawImage(image, 0, 0, 480, 360);
-                    const imageData = context.getImageData(0, 0, 480, 360);
-                    const result = await detect(imageData);
-                    this.hands = result;
-                    resolve('Hand detected');
-                };
-                image.src = imageDataURL;
-            });
-        })
-            .catch(error => {
-                console.error('Error detecting hand:', error);
-                return error.message;
-            });
+    handOrientationOf (handIndex) {
+        const landmarks = this.handShapeLandmarks(handIndex);
+        if (!landmarks) return null;
+        // The orientation is calculated in the image which was given to MediaPipe,
+        // so the handedness must be the one classified by MediaPipe for the image.
+        const isRight = this.hands.handednesses[handIndex][0].categoryName === 'Right';
+        return handOrientation(landmarks, isRight);
     }
 
     /**
-     * Detect hand in a costume.
+     * Get the pitch, yaw or roll of a specific hand.
      * @param {object} args - the block arguments
-     * @param {string} args.COSTUME - the costume name or number
-     * @param {object} util - utility object provided by the runtime
-     * @returns {Promise} - a promise that resolves when the hand is detected
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.ORIENTATION - 'pitch', 'yaw' or 'roll'
+     * @returns {number} - the angle in degrees
      */
-    async detectHandInCostume (args, util) {
-        const target = util.target;
-        const costumeName = args.COSTUME;
-        
-        try {
-            // Get costume by name or number
-            const costume = getCostumeByNameOrNumber(target, costumeName);
-            if (!costume) {
-                console.error('Costume not found:', costumeName);
-                return 'Costume not found';
-            }
-
-            // Convert costume to data URL
-            const dataURL = await costumeToDataURL(costume, 'png');
-            
-            // Create image from data URL
-            const image = new Image();
-            await new Promise((resolve, reject) => {
-                image.onload = resolve;
-                image.onerror = reject;
-                image.src = dataURL;
-            });
-
-            // Use the image element directly - MediaPipe can handle HTMLImageElement
-            // This is more efficient than creating a canvas and getting ImageData
-            const result = await detect(image);
-            this.hands = result;
-            return 'Hand detected';
-        } catch (error) {
-            console.error('Error detecting hand in costume:', error);
-            return error.message;
+    handOrientation (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const orientation = this.handOrientationOf(handIndex);
+        if (!orientation) return 0;
+        const angle = orientation[args.ORIENTATION];
+        if (typeof angle !== 'number') return 0;
+        // Yaw and roll turn to the other side on the stage which is flipped from the image.
+        if (this.flipX && (args.ORIENTATION === 'yaw' || args.ORIENTATION === 'roll')) {
+            return -angle;
         }
+        return angle;
     }
 
     /**
-     * Get the number of detected hands.
-     * @returns {number} - the number of detected hands
+     * Check if the palm of a specific hand faces the camera.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {boolean} - true if the palm faces the camera
      */
-    numberOfHands () {
-        if (!this.hands || !this.hands.handednesses) {
-            return 0;
-        }
-        return this.hands.handednesses.length;
+    isPalmFacingCamera (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const orientation = this.handOrientationOf(handIndex);
+        if (!orientation) return false;
+        return orientation.palmFacing;
     }
 
     /**
-     * Get the landmark data of a specific landmark on a specific hand.
+     * Get the landmarks of a specific hand to analyse its shape.
+     * World landmarks are used if they are available because they are in real world scale.
      * @param {number} handIndex - the hand index (0-based)
-     * @param {number} landmarkIndex - the landmark index (0-20)
-     * @returns {object} - the landmark data
+     * @returns {Array<object>?} - the 21 landmarks of the hand
      */
-    handLandmark (handIndex, landmarkIndex) {
+    handShapeLandmarks (handIndex) {
         if (!this.hands || !this.hands.handednesses) {
             return null;
         }
-
-        // Check if the hand and landmark exist
         if (handIndex < 0 || handIndex >= this.hands.handednesses.length) return null;
-        if (landmarkIndex < 0 || landmarkIndex > 20) return null; // MediaPipe hand has 21 landmarks (0-20)
 
-        return this.hands.landmarks[handIndex][landmarkIndex];
+        const worldLandmarks = this.hands.worldLandmarks && this.hands.worldLandmarks[handIndex];
+        if (worldLandmarks && worldLandmarks.length === 21) {
+            return worldLandmarks;
+        }
+        return this.hands.landmarks[handIndex];
     }
 
     /**
-     * Get the X coordinate of a specific landmark on a specific hand.
+     * Check if a finger of a specific hand is extended.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the X coordinate of the landmark
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.FINGER - the finger name
+     * @returns {boolean} - true if the finger is extended
      */
-    handLandmarkX (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
-
-        const landmark = this.handLandmark(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-
-        // Convert the x coordinate to Scratch coordinate system (center is 0,0, right is positive)
-        // MediaPipe coordinates are normalized (0-1) where 0 is left, 1 is right
-        const x = (landmark.x - 0.5) * 480; // Scale to Scratch stage width
-        return x;
+    isFingerExtended (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const finger = Cast.toString(args.FINGER).trim()
+            .toLowerCase();
+        const landmarks = this.handShapeLandmarks(handIndex);
+        if (!landmarks) return false;
+        return isFingerExtended(landmarks, finger);
     }
 
     /**
-     * Get the Y coordinate of a specific landmark on a specific hand.
+     * Get the curl amount of a finger of a specific hand.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the Y coordinate of the landmark
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.FINGER - the finger name
+     * @returns {number} - the curl amount (0: straight - 100: fully curled)
      */
-    handLandmarkY (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
-
-        const landmark = this.handLandmark(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-        
-        // Convert the y coordinate to Scratch coordinate system (center is 0,0, up is positive)
-        // MediaPipe coordinates are normalized (0-1) where 0 is top, 1 is bottom
-        const y = (0.5 - landmark.y) * 360; // Scale to Scratch stage height and invert
-        
-        return y;
+    fingerCurl (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const finger = Cast.toString(args.FINGER).trim()
+            .toLowerCase();
+        const landmarks = this.handShapeLandmarks(handIndex);
+        if (!landmarks || !isFinger(finger)) return 0;
+        return Math.round(fingerCurl(landmarks, finger));
     }
 
     /**
-     * Get the Z coordinate of a specific landmark on a specific hand.
+     * Get the number of extended fingers of a specific hand.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the Z coordinate of the landmark
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the number of extended fingers
      */
-    handLandmarkZ (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
-
-        const landmark = this.handLandmark(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-        
-        // Z is depth, with negative values being closer to the camera
-        // Scale the z value to make it more usable in Scratch
-        return landmark.z * 200;
+    numberOfExtendedFingers (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const landmarks = this.handShapeLandmarks(handIndex);
+        if (!landmarks) return 0;
+        return countExtendedFingers(landmarks);
     }
 
     /**
-     * Get the handedness of a specific hand.
-     * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @returns {string} - the handedness of the hand
+     * Get the number of extended fingers of all the detected hands.
+     * @returns {number} - the number of extended fingers
      */
-    handedness (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        if (!this.hands || !this.hands.handednesses) {
-            return ' ';
-        }
-        if (handIndex < 0 || handIndex >= this.hands.handednesses.length) {
-            return ' ';
+    numberOfExtendedFingersOfAllHands () {
+        let count = 0;
+        for (let handIndex = 0; handIndex < this.numberOfHands(); handIndex++) {
+            count += countExtendedFingers(this.handShapeLandmarks(handIndex));
         }
-        return this.hands.handednesses[handIndex][0].categoryName;
+        return count;
     }
 
     /**
-     * Get the relative landmark data of a specific landmark on a specific hand.
+     * Get the top gesture category of a specific hand.
+     * Gestures are recognized by another model than the hand landmarker, so the order of the hands
+     * may be different. The gesture is taken from the recognized hand whose wrist is nearest to the hand.
+     * Calling this starts gesture recognition with the following hand detections.
      * @param {number} handIndex - the hand index (0-based)
-     * @param {number} landmarkIndex - the landmark index (0-20)
-     * @returns {object} - the landmark data
+     * @returns {object} - the gesture category which has categoryName and score
      */
-    handLandmarkRelative (handIndex, landmarkIndex) {
-        if (!this.hands || !this.hands.handednesses) {
+    handGesture (handIndex) {
+        this.gestureRecognizing = true;
+        if (!this.gestures || !this.gestures.gestures) {
             return null;
         }
+        const wrist = this.handLandmark(handIndex, 0);
+        if (!wrist) return null;
 
-        // Check if the hand and landmark exist
+        let nearestIndex = -1;
+        let nearestDistance = 0.1; // Ignore gestures of hands too far from the hand
+        this.gestures.landmarks.forEach((landmarks, index) => {
+            const wristDistance = Math.hypot(landmarks[0].x - wrist.x, landmarks[0].y - wrist.y);
+            if (wristDistance < nearestDistance) {
+                nearestIndex = index;
+                nearestDistance = wristDistance;
+            }
+        });
+        if (nearestIndex < 0) return null;
+
+        const categories = this.gestures.gestures[nearestIndex];
+        if (!categories || categories.length === 0) return null;
+        return categories[0];
+    }
+
+    /**
+     * Get the gesture name of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {string} - the gesture name
+     */
+    gestureOfHand (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const gesture = this.handGesture(handIndex);
+        if (!gesture) return ' ';
+        return gesture.categoryName;
+    }
+
+    /**
+     * Get the score of the gesture of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the score of the gesture (0-1)
+     */
+    gestureScore (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const gesture = this.handGesture(handIndex);
+        if (!gesture) return 0;
+        return gesture.score;
+    }
+
+    /**
+     * Check if a specific hand is showing the gesture.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.GESTURE - the gesture name
+     * @returns {boolean} - true if the hand is showing the gesture
+     */
+    isHandShowingGesture (args) {
+        const handIndex = this.resolveHandIndex(args.HAND_NUMBER);
+        const gesture = this.handGesture(handIndex);
+        if (!gesture) return false;
+        return gesture.categoryName.toLowerCase() === Cast.toString(args.GESTURE).trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Get the pose of a specific hand to classify.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {Array<number>?} - the pose, null if the hand is not detected
+     */
+    handPose (handIndex) {
+        if (!this.hands || !this.hands.handednesses) return null;
         if (handIndex < 0 || handIndex >= this.hands.handednesses.length) return null;
-        if (landmarkIndex < 0 || landmarkIndex > 20) return null; // MediaPipe hand has 21 landmarks (0-20)
+        const isRight = this.hands.handednesses[handIndex][0].categoryName === 'Right';
+        return normalizePose(this.hands.worldLandmarks[handIndex], isRight);
+    }
 
-        return this.hands.worldLandmarks[handIndex][landmarkIndex];
+    /**
+     * Classify the pose of a specific hand.
+     * @param {number} handIndex - the hand index (0-based)
+     * @returns {{label: string, confidences: Map<string, number>}?} - the result,
+     *  null if the hand is not detected or there are no examples
+     */
+    classifyHandPose (handIndex) {
+        const pose = this.handPose(handIndex);
+        if (!pose) return null;
+        return this.poseClassifier.classify(pose);
     }
 
     /**
-     * Get the relative X coordinate of a specific landmark on a specific hand.
+     * Add the current pose of a specific hand as an example of a label.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the relative X coordinate of the landmark
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @param {string} args.LABEL - the label of the pose
+     * @returns {string?} - the error message if the hand is not detected
      */
-    handLandmarkRelativeX (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+    addPoseExample (args) {
+        const label = Cast.toString(args.LABEL).trim();
+        if (!label) return;
+        const pose = this.handPose(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!pose) return 'Hand not detected';
+        this.poseClassifier.addExample(label, pose);
+    }
 
-        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-        return landmark.x;
+    /**
+     * Get the label of the pose of a specific hand.
+     * @param {object} args - the block arguments
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {string} - the label which the nearest examples voted for,
+     *  empty if the hand is not detected or there are no examples
+     */
+    poseLabel (args) {
+        const result = this.classifyHandPose(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!result) return '';
+        return result.label;
     }
 
     /**
-     * Get the relative Y coordinate of a specific landmark on a specific hand.
+     * Get the confidence that a specific hand is in the pose of a label.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the relative Y coordinate of the landmark
+     * @param {string} args.LABEL - the label of the pose
+     * @param {number} args.HAND_NUMBER - the hand number (1-based order or ID)
+     * @returns {number} - the ratio of the nearest examples of the label (0-1)
      */
-    handLandmarkRelativeY (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+    poseConfidence (args) {
+        const result = this.classifyHandPose(this.resolveHandIndex(args.HAND_NUMBER));
+        if (!result) return 0;
+        return result.confidences.get(Cast.toString(args.LABEL).trim()) || 0;
+    }
 
-        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-        // Invert the y coordinate for Scratch coordinate system (up is positive)
-        return -landmark.y;
+    /**
+     * Get the number of the examples of a label.
+     * @param {object} args - the block arguments
+     * @param {string} args.LABEL - the label of the pose
+     * @returns {number} - the number of the examples
+     */
+    poseExampleCount (args) {
+        return this.poseClassifier.count(Cast.toString(args.LABEL).trim());
     }
 
     /**
-     * Get the relative Z coordinate of a specific landmark on a specific hand.
+     * Remove the examples of a label.
      * @param {object} args - the block arguments
-     * @param {number} args.HAND_NUMBER - the hand index (1-based)
-     * @param {number} args.LANDMARK - the landmark index (0-20)
-     * @returns {number} - the relative Z coordinate of the landmark
+     * @param {string} args.LABEL - the label of the pose
      */
-    handLandmarkRelativeZ (args) {
-        const handIndex = Cast.toNumber(args.HAND_NUMBER) - 1; // Convert to 0-based index
-        const landmarkIndex = Cast.toNumber(args.LANDMARK);
+    clearPoseExamples (args) {
+        this.poseClassifier.clear(Cast.toString(args.LABEL).trim());
+    }
 
-        const landmark = this.handLandmarkRelative(handIndex, landmarkIndex);
-        if (!landmark) return 0;
-        return landmark.z;
+    /**
+     * Remove all the examples of the poses.
+     */
+    clearAllPoseExamples () {
+        this.poseClassifier.clearAll();
     }
 
     /**
@@ -1180,6 +5108,60 @@ class ExtensionBlocks {
         return modelAssetPath;
     }
 
+    /**
+     * Set the model asset path for gesture recognition.
+     * @param {object} args - the block arguments
+     * @param {string} args.PATH - the model asset path
+     * @returns {Promise} - a promise that resolve when the model set
+     */
+    setGestureModelPath (args) {
+        const path = Cast.toString(args.PATH).trim();
+        if (!path) return;
+        this.gestureRecognizing = true;
+        return setGestureModelAssetPath(path)
+            .then(() => 'Gesture model asset path set successfully')
+            .catch(e => {
+                console.error(e);
+                return e.message;
+            });
+    }
+
+    /**
+     * Get the model asset path for gesture recognition.
+     * @returns {string} - the model asset path
+     */
+    getGestureModelPath () {
+        return getGestureModelAssetPath();
+    }
+
+    /**
+     * Set the base URL of the self-hosted MediaPipe assets and reload the models from there.
+     * The assets which are not available at the URL are loaded from the CDN.
+     * @param {object} args - the block arguments
+     * @param {string} args.URL - the base URL, empty to use the default next to this extension
+     * @returns {Promise} - a promise that resolve when the models are reloaded
+     */
+    setAssetBaseURL (args) {
+        const url = Cast.toString(args.URL).trim();
+        return setAssetBaseURL(url)
+            .then(() => {
+                resetGestureRecognizer();
+                return 'MediaPipe base URL set successfully';
+            })
+            .catch(e => {
+                console.error(e);
+                return e.message;
+            });
+    }
+
+    /**
+     * Get the base URL of the self-hosted MediaPipe assets.
+     * @returns {string} - the base URL
+     */
+    getAssetBaseURL () {
+        return getAssetBaseURL();
+    }
+
     /**
      * Get the number of hands to detect.
      * @returns {number} - the number of hands to detect
@@ -1197,13 +5179,42 @@ class ExtensionBlocks {
     setNumHands (args) {
         const num = Cast.toNumber(args.NUM);
         if (num < 1) return;
-        return setNumHands(num)
+        return Promise.all([setNumHands(num), setGestureNumHands(num)])
             .then(() => 'Number of hands set successfully')
             .catch(e => {
                 console.error(e);
                 return e.message;
             });
     }
+
+    /**
+     * Get a minimum confidence score of the hand landmarker.
+     * @param {object} args - the block arguments
+     * @param {string} args.CONFIDENCE - the name of the confidence option
+     * @returns {number|string} - the confidence score (0-1), empty string if the name is not a confidence
+     */
+    getConfidence (args) {
+        const confidence = getConfidence(Cast.toString(args.CONFIDENCE));
+        return confidence === null ? '' : confidence;
+    }
+
+    /**
+     * Set a minimum confidence score of the hand landmarker.
+     * It is applied without rebuilding the model.
+     * @param {object} args - the block arguments
+     * @param {string} args.CONFIDENCE - the name of the confidence option
+     * @param {number} args.VALUE - the confidence score (0-1)
+     * @returns {Promise<string>} - a promise that resolves with the result message
+     */
+    setConfidence (args) {
+        const value = Math.min(Math.max(Cast.toNumber(args.VALUE), 0), 1);
+        return setConfidence(Cast.toString(args.CONFIDENCE), value)
+            .then(() => 'Confidence set successfully')
+            .catch(e => {
+                console.error(e);
+                return e.message;
+            });
+    }
 }
 
 export {ExtensionBlocks as default, ExtensionBlocks as blockClass};
@@ -0,0 +1,124 @@
+/**
+ * This module provides a temporal filter to reduce the jitter of landmarks.
+ * It uses One Euro filter which smooths slow movements strongly and follows fast movements quickly.
+ * @see https://gery.casiez.net/1euro/
+ * @module landmark-filter
+ */
+
+/**
+ * Interval in seconds which is used when the timestamps are not increasing.
+ * @type {number}
+ */
+const DEFAULT_INTERVAL = 1 / 30;
+
+/**
+ * Cutoff frequency in Hz for the derivative of the value.
+ * @type {number}
+ */
+const DERIVATIVE_CUTOFF = 1;
+
+/**
+ * Smoothing factor of an exponential filter for the cutoff frequency.
+ * @param {number} cutoff - cutoff frequency in Hz
+ * @param {number} interval - interval of the samples in seconds
+ * @returns {number} - smoothing factor (0-1)
+ */
+const smoothingFactor = function (cutoff, interval) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + (tau / interval));
+};
+
+/**
+ * One Euro filter for a value.
+ */
+export class OneEuroFilter {
+    /**
+     * Construct a filter.
+     * @param {number} minCutoff - minimum cutoff frequency in Hz, lower is smoother for slow movements
+     * @param {number} beta - speed coefficient, higher is less lag for fast movements
+     */
+    constructor (minCutoff, beta) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.prevValue = null;
+        this.prevDerivative = 0;
+        this.prevTimestamp = 0;
+    }
+
+    /**
+     * Filter a value.
+     * @param {number} value - value to filter
+     * @param {number} timestamp - time of the value in seconds
+     * @returns {number} - filtered value
+     */
+    filter (value, timestamp) {
+        if (this.prevValue === null) {
+            this.prevValue = value;
+            this.prevTimestamp = timestamp;
+            return value;
+        }
+        let interval = timestamp - this.prevTimestamp;
+        if (!(interval > 0)) {
+            interval = DEFAULT_INTERVAL;
+        }
+        const derivative = (value - this.prevValue) / interval;
+        const filteredDerivative = this.prevDerivative +
+            (smoothingFactor(DERIVATIVE_CUTOFF, interval) * (derivative - this.prevDerivative));
+        const cutoff = this.minCutoff + (this.beta * Math.abs(filteredDerivative));
+        const filteredValue = this.prevValue + (smoothingFactor(cutoff, interval) * (value - this.prevValue));
+        this.prevValue = filteredValue;
+        this.prevDerivative = filteredDerivative;
+        this.prevTimestamp = timestamp;
+        return filteredValue;
+    }
+}
+
+/**
+ * One Euro filters for the x, y and z of every landmark of a hand.
+ */
+export class LandmarksFilter {
+    /**
+     * Construct filters for landmarks.
+     * @param {number} minCutoff - minimum cutoff frequency in Hz
+     * @param {number} beta - speed coefficient
+     */
+    constructor (minCutoff, beta) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.filters = [];
+    }
+
+    /**
+     * Filter landmarks of a hand.
+     * @param {Array<{x: number, y: number, z: number}>} landmarks - landmarks to filter
+     * @param {number} timestamp - time of the landmarks in seconds
+     * @returns {Array<{x: number, y: number, z: number}>} - new filtered landmarks
+     */
+    filter (landmarks, timestamp) {
+        return landmarks.map((landmark, index) => {
+            if (!this.filters[index]) {
+                this.filters[index] = ['x', 'y', 'z'].map(() => new OneEuroFilter(this.minCutoff, this.beta));
+            }
+            const [filterX, filterY, filterZ] = this.filters[index];
+            return Object.assign({}, landmark, {
+                x: filterX.filter(landmark.x, timestamp),
+                y: filterY.filter(landmark.y, timestamp),
+                z: filterZ.filter(landmark.z, timestamp)
+            });
+        });
+    }
+}
+
+/**
+ * Convert smoothing level to the parameters of One Euro filter.
+ * @param {number} smoothing - smoothing level (0: no smoothing - 100: strongest)
+ * @returns {{minCutoff: number, beta: number}} - parameters of the filter
+ */
+export const smoothingToParameters = function (smoothing) {
+    const level = Math.min(100, Math.max(0, smoothing)) / 100;
+    return {
+        // 5Hz at the weakest to 0.1Hz at the strongest
+        minCutoff: 5 * Math.pow(0.02, level),
+        beta: 5
+    };
+};
@@ -0,0 +1,144 @@
+/**
+ * This module classifies the poses of hands by k-nearest neighbours on the examples which the user gave.
+ * A pose is the world landmarks which are moved to the wrist and scaled by the size of the palm,
+ * so that it does not depend on the position and the size of the hand on the screen.
+ * @module pose-classifier
+ */
+
+import {subtract, distance} from './hand-geometry.js';
+
+/**
+ * Number of the nearest examples which vote for the label.
+ * @type {number}
+ */
+const DEFAULT_K = 5;
+
+/**
+ * Make a pose from the landmarks of a hand.
+ * Left hands are mirrored to be compared with right hands.
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 world landmarks of a hand
+ * @param {boolean} isRight - true if MediaPipe classified the hand as right in the image
+ * @returns {Array<number>?} - x, y and z of all the landmarks, null if the size of the palm is 0
+ */
+export const normalizePose = function (landmarks, isRight) {
+    const wrist = landmarks[0];
+    const size = distance(wrist, landmarks[9]);
+    if (size === 0) return null;
+    return landmarks.reduce((pose, landmark) => {
+        const vector = subtract(landmark, wrist);
+        pose.push((isRight ? vector.x : -vector.x) / size, vector.y / size, vector.z / size);
+        return pose;
+    }, []);
+};
+
+/**
+ * Distance between two poses.
+ * @param {Array<number>} a - pose
+ * @param {Array<number>} b - pose
+ * @returns {number} - Euclidean distance
+ */
+const poseDistance = function (a, b) {
+    let sum = 0;
+    for (let index = 0; index < a.length; index++) {
+        sum += (a[index] - b[index]) ** 2;
+    }
+    return Math.sqrt(sum);
+};
+
+/**
+ * Classifier of the poses which learns from the examples of each label.
+ */
+export class PoseClassifier {
+    /**
+     * Construct a classifier without examples.
+     * @param {number} [k] - number of the nearest examples which vote for the label
+     */
+    constructor (k = DEFAULT_K) {
+        /**
+         * Number of the nearest examples which vote for the label.
+         * @type {number}
+         */
+        this.k = k;
+
+        /**
+         * Examples of the poses for each label.
+         * It is a Map because the labels are typed by the user.
+         * @type {Map<string, Array<Array<number>>>}
+         */
+        this.examples = new Map();
+    }
+
+    /**
+     * Add an example of a label.
+     * @param {string} label - the label of the pose
+     * @param {Array<number>} pose - the pose which was made by normalizePose()
+     */
+    addExample (label, pose) {
+        if (!this.examples.has(label)) {
+            this.examples.set(label, []);
+        }
+        this.examples.get(label).push(pose);
+    }
+
+    /**
+     * Remove the examples of a label.
+     * @param {string} label - the label of the pose
+     */
+    clear (label) {
+        this.examples.delete(label);
+    }
+
+    /**
+     * Remove all the examples.
+     */
+    clearAll () {
+        this.examples.clear();
+    }
+
+    /**
+     * Get the number of the examples of a label.
+     * @param {string} label - the label of the pose
+     * @returns {number} - the number of the examples
+     */
+    count (label) {
+        return this.examples.has(label) ? this.examples.get(label).length : 0;
+    }
+
+    /**
+     * Get the labels which have examples.
+     * @returns {Array<string>} - the labels in the order they were added
+     */
+    labels () {
+        return Array.from(this.examples.keys());
+    }
+
+    /**
+     * Classify a pose by the votes of the nearest examples.
+     * A tie of the votes is broken by the label of the nearest example.
+     * @param {Array<number>} pose - the pose which was made by normalizePose()
+     * @returns {{label: string, confidences: Map<string, number>}?} - the label which got the most votes
+     *  and the ratio of the votes for each label, null if there are no examples
+     */
+    classify (pose) {
+        const neighbours = [];
+        this.examples.forEach((examples, label) => {
+            examples.forEach(example => {
+                neighbours.push({label, distance: poseDistance(pose, example)});
+            });
+        });
+        if (neighbours.length === 0) return null;
+        neighbours.sort((a, b) => a.distance - b.distance);
+        const nearest = neighbours.slice(0, this.k);
+        const confidences = new Map(this.labels().map(label => [label, 0]));
+        nearest.forEach(neighbour => {
+            confidences.set(neighbour.label, confidences.get(neighbour.label) + (1 / nearest.length));
+        });
+        // The nearest examples come first, so the first label with the most votes is the nearest among them
+        const label = nearest.reduce(
+            (selected, neighbour) =>
+                (confidences.get(neighbour.label) > confidences.get(selected) ? neighbour.label : selected),
+            nearest[0].label
+        );
+        return {label, confidences};
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * This module draws the skeletons of the hands on a layer of the stage.
+ * The layer is a bitmap skin of the renderer which is above the video and below the sprites.
+ * @module skeleton-overlay
+ */
+
+import {HAND_CONNECTIONS} from './hand-geometry.js';
+
+/**
+ * Layer group of the renderer for the overlay.
+ * It is StageLayering.PEN_LAYER which is above the video layer and below the sprite layer.
+ * @type {string}
+ */
+const OVERLAY_LAYER_GROUP = 'pen';
+
+/**
+ * Pixels of the bitmap per stage unit to draw smooth lines.
+ * @type {number}
+ */
+const OVERLAY_RESOLUTION = 2;
+
+/**
+ * Default colors of the skeleton for each handedness.
+ * @type {Object<string, string>}
+ */
+const DEFAULT_COLORS = {
+    Left: '#00c0ff',
+    Right: '#ff8000'
+};
+
+/**
+ * Overlay which draws the skeletons of the hands on the stage.
+ */
+export class SkeletonOverlay {
+    /**
+     * Construct an overlay. The layer is created when it is shown at first.
+     * @param {Runtime} runtime - the runtime which has the renderer
+     */
+    constructor (runtime) {
+        /**
+         * The runtime which has the renderer.
+         * @type {Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * Whether the overlay is shown.
+         * @type {boolean}
+         */
+        this.visible = false;
+
+        /**
+         * Colors of the skeleton for each handedness.
+         * @type {Object<string, string>}
+         */
+        this.colors = Object.assign({}, DEFAULT_COLORS);
+
+        /**
+         * Width of the lines in the stage unit.
+         * @type {number}
+         */
+        this.lineWidth = 2;
+
+        /**
+         * The canvas to draw the skeletons.
+         * @type {HTMLCanvasElement?}
+         */
+        this.canvas = null;
+
+        /**
+         * ID of the drawable in the renderer.
+         * @type {number?}
+         */
+        this.drawableID = null;
+
+        /**
+         * ID of the bitmap skin in the renderer.
+         * @type {number?}
+         */
+        this.skinID = null;
+    }
+
+    /**
+     * Whether the renderer can show the overlay.
+     * @returns {boolean} - true if the overlay is available
+     */
+    isAvailable () {
+        const renderer = this.runtime.renderer;
+        return !!(renderer && renderer.createDrawable && renderer.createBitmapSkin) &&
+            typeof document !== 'undefined';
+    }
+
+    /**
+     * Create the canvas and the layer in the renderer if they were not created.
+     */
+    setupLayer () {
+        if (this.drawableID !== null) return;
+        const renderer = this.runtime.renderer;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1;
+        this.canvas.height = 1;
+        this.skinID = renderer.createBitmapSkin(this.canvas, OVERLAY_RESOLUTION);
+        this.drawableID = renderer.createDrawable(OVERLAY_LAYER_GROUP);
+        renderer.updateDrawableSkinId(this.drawableID, this.skinID);
+    }
+
+    /**
+     * Show or hide the overlay.
+     * @param {boolean} visible - true to show the overlay
+     */
+    setVisible (visible) {
+        this.visible = visible;
+        if (!this.isAvailable()) return;
+        if (!visible && this.drawableID === null) return;
+        this.setupLayer();
+        this.runtime.renderer.updateDrawableVisible(this.drawableID, visible);
+    }
+
+    /**
+     * Take a snapshot of the stage without the overlay, so that the skeletons are not detected as hands.
+     * The overlay is hidden only while the renderer draws the snapshot.
+     * @param {function} callback - the function which is called with the data URL of the snapshot
+     */
+    requestSnapshot (callback) {
+        const renderer = this.runtime.renderer;
+        const hiding = this.visible && this.drawableID !== null;
+        if (hiding) {
+            renderer.updateDrawableVisible(this.drawableID, false);
+        }
+        renderer.requestSnapshot(imageDataURL => {
+            if (hiding) {
+                renderer.updateDrawableVisible(this.drawableID, this.visible);
+            }
+            callback(imageDataURL);
+        });
+    }
+
+    /**
+     * Set the color of the skeleton of a handedness.
+     * @param {string} handedness - 'Left' or 'Right'
+     * @param {string} color - CSS color
+     */
+    setColor (handedness, color) {
+        this.colors[handedness] = color;
+    }
+
+    /**
+     * Draw the skeletons of the hands. Nothing is drawn when the overlay is hidden.
+     * @param {Array<{handedness: string, points: Array<{x: number, y: number}>}>} hands - the hands to draw,
+     *  the points are the 21 landmarks in Scratch coordinates
+     * @param {{width: number, height: number}} stageSize - the size of the stage
+     */
+    draw (hands, stageSize) {
+        if (!this.visible || !this.isAvailable()) return;
+        this.setupLayer();
+        const width = Math.round(stageSize.width * OVERLAY_RESOLUTION);
+        const height = Math.round(stageSize.height * OVERLAY_RESOLUTION);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        const toCanvas = point => ({
+            x: (point.x + (stageSize.width / 2)) * OVERLAY_RESOLUTION,
+            y: ((stageSize.height / 2) - point.y) * OVERLAY_RESOLUTION
+        });
+        const lineWidth = this.lineWidth * OVERLAY_RESOLUTION;
+        hands.forEach(hand => {
+            const points = hand.points.map(toCanvas);
+            const color = this.colors[hand.handedness] || DEFAULT_COLORS.Right;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            HAND_CONNECTIONS.forEach(([from, to]) => {
+                ctx.moveTo(points[from].x, points[from].y);
+                ctx.lineTo(points[to].x, points[to].y);
+            });
+            ctx.stroke();
+            points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, lineWidth * 1.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        this.runtime.renderer.updateBitmapSkin(this.skinID, this.canvas, OVERLAY_RESOLUTION);
+    }
+}
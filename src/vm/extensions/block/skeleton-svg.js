@@ -0,0 +1,73 @@
+/**
+ * This module renders the skeleton of a hand into an SVG image to make a costume.
+ * @module skeleton-svg
+ */
+
+import {HAND_CONNECTIONS} from './hand-geometry.js';
+
+/**
+ * Format a number for an attribute of SVG.
+ * @param {number} value - number to format
+ * @returns {number} - the number rounded to 2 decimal places
+ */
+const formatNumber = function (value) {
+    return Math.round(value * 100) / 100;
+};
+
+/**
+ * Escape a string for an attribute of SVG.
+ * @param {string} value - string to escape
+ * @returns {string} - escaped string
+ */
+const escapeAttribute = function (value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+};
+
+/**
+ * Render the skeleton of a hand into an SVG image.
+ * The image covers the box on the stage, so its center is the center of the box.
+ * @param {Array<{x: number, y: number}>} points - 21 landmarks in Scratch coordinates
+ * @param {{left: number, right: number, top: number, bottom: number}} box - area of the image in Scratch coordinates
+ * @param {{color: string, lineWidth: number}} style - style of the skeleton
+ * @param {{dataURL: string, box: object}} [background] - an image to put under the skeleton and its area
+ * @returns {string} - SVG image
+ */
+export const skeletonToSVG = function (points, box, style, background) {
+    const width = box.right - box.left;
+    const height = box.top - box.bottom;
+    // Scratch coordinates (y is up) to SVG coordinates (y is down) from the top-left of the box
+    const toSVG = point => ({
+        x: formatNumber(point.x - box.left),
+        y: formatNumber(box.top - point.y)
+    });
+    const elements = [];
+    if (background) {
+        const origin = toSVG({x: background.box.left, y: background.box.top});
+        elements.push(`<image x="${origin.x}" y="${origin.y}" ` +
+            `width="${formatNumber(background.box.right - background.box.left)}" ` +
+            `height="${formatNumber(background.box.top - background.box.bottom)}" ` +
+            `xlink:href="${escapeAttribute(background.dataURL)}"/>`);
+    }
+    const positions = points.map(toSVG);
+    const color = escapeAttribute(style.color);
+    const lineWidth = formatNumber(style.lineWidth);
+    const path = HAND_CONNECTIONS
+        .map(([from, to]) => `M${positions[from].x} ${positions[from].y}L${positions[to].x} ${positions[to].y}`)
+        .join('');
+    elements.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="${lineWidth}" ` +
+        `stroke-linecap="round"/>`);
+    const radius = formatNumber(style.lineWidth * 1.5);
+    positions.forEach(position => {
+        elements.push(`<circle cx="${position.x}" cy="${position.y}" r="${radius}" fill="${color}"/>`);
+    });
+    return [
+        `<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${formatNumber(width)}" height="${formatNumber(height)}" ` +
+            `viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+        ...elements.map(element => `  ${element}`),
+        '</svg>'
+    ].join('\n');
+};
@@ -0,0 +1,187 @@
+/**
+ * This module loads MediaPipe Tasks Vision and its assets.
+ * The module, the WASM fileset and the models are loaded from the base URL at first,
+ * which is 'mediapipe/' in dist/ by default,
+ * and from the CDN of the pinned version when they are not available there.
+ * @module vision-tasks
+ */
+
+/**
+ * Version of MediaPipe Tasks Vision to load from the CDN.
+ * It must be the same as the version of '@mediapipe/tasks-vision' in package.json.
+ * @type {string}
+ */
+export const TASKS_VISION_VERSION = '0.10.35';
+
+/**
+ * URL of MediaPipe Tasks Vision on the CDN.
+ * @type {string}
+ */
+const CDN_BASE_URL = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}/`;
+
+/**
+ * URL of the models on the CDN.
+ * @type {string}
+ */
+const CDN_MODEL_BASE_URL = 'https://storage.googleapis.com/mediapipe-models/';
+
+/**
+ * Paths of the models which are relative to the base URL of the models.
+ * @type {Object<string, string>}
+ */
+export const MODEL_PATHS = {
+    handLandmarker: 'hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    gestureRecognizer: 'gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+};
+
+/**
+ * Path of the self-hosted assets relative to this module.
+ * version-build rewrites it to '../mediapipe/' in the versioned copies of the module in dist/<version>/,
+ * so that all the versions share the assets in dist/mediapipe/.
+ * @type {string}
+ */
+const ASSET_PATH = './mediapipe/';
+
+/**
+ * Get the default base URL of the self-hosted assets.
+ * @returns {string} - URL of the assets in dist/mediapipe/
+ */
+const defaultAssetBaseURL = function () {
+    try {
+        return new URL(ASSET_PATH, import.meta.url).href;
+    } catch (error) {
+        return ASSET_PATH;
+    }
+};
+
+/**
+ * Base URL of the self-hosted assets.
+ * @type {string}
+ */
+let assetBaseURL = defaultAssetBaseURL();
+
+/**
+ * Processing unit to run the tasks: 'auto', 'CPU' or 'GPU'.
+ * @type {string}
+ */
+let delegatePreference = 'auto';
+
+/**
+ * Promise of the loaded MediaPipe Tasks Vision.
+ * @type {Promise<{tasks: object, fileset: object, baseURL: string}>}
+ */
+let visionTasksPromise = null;
+
+/**
+ * Set the base URL of the self-hosted assets.
+ * MediaPipe Tasks Vision will be loaded again from the URL on the next loading.
+ * @param {string} url - base URL, an empty string resets it to the default
+ */
+export const setAssetBaseURL = function (url) {
+    if (url) {
+        assetBaseURL = url.endsWith('/') ? url : `${url}/`;
+    } else {
+        assetBaseURL = defaultAssetBaseURL();
+    }
+    visionTasksPromise = null;
+};
+
+/**
+ * Get the base URL of the self-hosted assets.
+ * @returns {string} - base URL
+ */
+export const getAssetBaseURL = function () {
+    return assetBaseURL;
+};
+
+/**
+ * Set the processing unit to run the tasks which are created after this.
+ * @param {string} delegate - 'auto', 'CPU' or 'GPU'
+ */
+export const setDelegatePreference = function (delegate) {
+    delegatePreference = delegate;
+};
+
+/**
+ * Get the processing unit to run the tasks.
+ * @returns {string} - 'auto', 'CPU' or 'GPU'
+ */
+export const getDelegatePreference = function () {
+    return delegatePreference;
+};
+
+/**
+ * Create a task with the processing unit which is set.
+ * In 'auto', GPU is tried at first and CPU is used when GPU is not available (e.g. no WebGL2).
+ * @param {function(string): Promise<object>} create - function to create the task with a delegate
+ * @returns {Promise<{task: object, delegate: string}>} - created task and the delegate in use
+ */
+export const createWithDelegate = async function (create) {
+    if (delegatePreference !== 'auto') {
+        const delegate = delegatePreference;
+        return {task: await create(delegate), delegate};
+    }
+    try {
+        return {task: await create('GPU'), delegate: 'GPU'};
+    } catch (error) {
+        console.warn('GPU is not available, use CPU instead:', error);
+        return {task: await create('CPU'), delegate: 'CPU'};
+    }
+};
+
+/**
+ * Load MediaPipe Tasks Vision module and its WASM fileset from a base URL.
+ * @param {string} baseURL - URL of the directory which has 'vision_bundle.mjs' and 'wasm/'
+ * @returns {Promise<{tasks: object, fileset: object, baseURL: string}>} - loaded module and fileset
+ */
+const loadVisionTasksFrom = async function (baseURL) {
+    const tasks = await import(`${baseURL}vision_bundle.mjs`);
+    const fileset = await tasks.FilesetResolver.forVisionTasks(`${baseURL}wasm`);
+    return {tasks, fileset, baseURL};
+};
+
+/**
+ * Load MediaPipe Tasks Vision. It is loaded only once when it succeeded.
+ * @returns {Promise<{tasks: object, fileset: object, baseURL: string}>} - loaded module and fileset
+ */
+export const loadVisionTasks = function () {
+    if (!visionTasksPromise) {
+        visionTasksPromise = loadVisionTasksFrom(assetBaseURL)
+            .catch(error => {
+                console.warn(`MediaPipe is not available at ${assetBaseURL}, use the CDN instead:`, error);
+                return loadVisionTasksFrom(CDN_BASE_URL);
+            })
+            .catch(error => {
+                // Forget the failure to retry on the next loading.
+                visionTasksPromise = null;
+                throw error;
+            });
+    }
+    return visionTasksPromise;
+};
+
+/**
+ * Get the URL of a model on the CDN.
+ * @param {string} name - key of the model in MODEL_PATHS
+ * @returns {string} - URL of the model
+ */
+export const cdnModelURL = function (name) {
+    return `${CDN_MODEL_BASE_URL}${MODEL_PATHS[name]}`;
+};
+
+/**
+ * Get the URL of a model. The self-hosted model is used if it exists.
+ * @param {string} name - key of the model in MODEL_PATHS
+ * @returns {Promise<string>} - URL of the model
+ */
+export const resolveModelURL = async function (name) {
+    const path = MODEL_PATHS[name];
+    const selfHostedURL = `${assetBaseURL}models/${path}`;
+    try {
+        const response = await fetch(selfHostedURL, {method: 'HEAD'});
+        if (response.ok) return selfHostedURL;
+    } catch (error) {
+        // Not self-hosted
+    }
+    return cdnModelURL(name);
+};
@@ -8,6 +8,7 @@ module.exports = {
     "jest/globals": true,
   },
   parserOptions: {
+    ecmaVersion: 2018,
     sourceType: "module",
   },
 };
@@ -0,0 +1,75 @@
+/**
+ * Synthetic hand landmarks for testing the analysis of hand shapes.
+ * The hand is upright with the palm facing the camera, in world coordinates (meters, y is down).
+ */
+
+const FINGER_BASES = {
+    index: {x: 0.02, y: -0.08, z: 0},
+    middle: {x: 0, y: -0.08, z: 0},
+    ring: {x: -0.02, y: -0.08, z: 0},
+    pinky: {x: -0.04, y: -0.08, z: 0}
+};
+
+const add = (p, dx, dy, dz) => ({x: p.x + dx, y: p.y + dy, z: p.z + dz});
+
+/**
+ * Create 21 landmarks of a hand.
+ * @param {Array<string>} curledFingers - names of the fingers to curl
+ * @returns {Array<{x: number, y: number, z: number}>} - landmarks
+ */
+const createHandLandmarks = function (curledFingers = []) {
+    const landmarks = [{x: 0, y: 0, z: 0}];
+    if (curledFingers.includes('thumb')) {
+        // Folded over the palm
+        landmarks.push(
+            {x: 0.025, y: -0.02, z: 0},
+            {x: 0.035, y: -0.04, z: 0},
+            {x: 0.015, y: -0.05, z: -0.01},
+            {x: -0.01, y: -0.055, z: -0.01}
+        );
+    } else {
+        landmarks.push(
+            {x: 0.025, y: -0.02, z: 0},
+            {x: 0.045, y: -0.04, z: 0},
+            {x: 0.06, y: -0.06, z: 0},
+            {x: 0.075, y: -0.08, z: 0}
+        );
+    }
+    Object.keys(FINGER_BASES).forEach(finger => {
+        const mcp = FINGER_BASES[finger];
+        if (curledFingers.includes(finger)) {
+            // Bent 90 degrees at each joint
+            const pip = add(mcp, 0, 0, -0.03);
+            const dip = add(pip, 0, 0.02, 0);
+            landmarks.push(mcp, pip, dip, add(dip, 0, 0, 0.02));
+        } else {
+            const pip = add(mcp, 0, -0.03, 0);
+            const dip = add(pip, 0, -0.02, 0);
+            landmarks.push(mcp, pip, dip, add(dip, 0, -0.02, 0));
+        }
+    });
+    return landmarks;
+};
+
+/**
+ * Create a hand landmarker result of hands.
+ * Image landmarks are the world landmarks moved to the position and scaled into the image.
+ * @param {Array<{handedness: string, curledFingers: Array<string>, x: number, y: number}>} hands - hands
+ * @returns {HandLandmarkerResult} - result
+ */
+const createHandResult = function (hands) {
+    const result = {handednesses: [], landmarks: [], worldLandmarks: []};
+    hands.forEach(hand => {
+        const worldLandmarks = createHandLandmarks(hand.curledFingers);
+        result.handednesses.push([{categoryName: hand.handedness || 'Right', score: 0.9}]);
+        result.worldLandmarks.push(worldLandmarks);
+        result.landmarks.push(worldLandmarks.map(p => ({
+            x: (hand.x || 0.5) + (p.x * 2),
+            y: (hand.y || 0.7) + (p.y * 2),
+            z: p.z * 2
+        })));
+    });
+    return result;
+};
+
+module.exports = {createHandLandmarks, createHandResult};
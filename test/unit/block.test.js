@@ -1,7 +1,33 @@
 import { blockClass } from "../../src/vm/extensions/block/index.js";
-import { mockHelpers, setNumHands, getNumHands } from "../../src/vm/extensions/block/hand-landmarker.js";
+import {
+    mockHelpers,
+    setNumHands,
+    getNumHands,
+    detect,
+    detectForVideo,
+    setAssetBaseURL,
+    loadHandLandmarker,
+    setDelegate,
+    setConfidence
+} from "../../src/vm/extensions/block/hand-landmarker.js";
+import { createHandResult } from "../mocks/synthetic-hand.js";
+import {
+    insertImageAsSvgCostume,
+    addImageAsCostume
+} from "../../src/vm/extensions/block/costume-util.js";
+import {
+    mockGestureHelpers,
+    recognize,
+    setGestureModelAssetPath,
+    resetGestureRecognizer
+} from "../../src/vm/extensions/block/gesture-recognizer.js";
+import {
+    downloadTextFile,
+    openTextFile
+} from "../../src/vm/extensions/block/hand-data-file.js";
 
 jest.mock("../../src/vm/extensions/block/hand-landmarker.js");
+jest.mock("../../src/vm/extensions/block/gesture-recognizer.js");
 jest.mock("../../src/vm/extensions/block/costume-util.js", () => ({
     getCostumeByNameOrNumber: jest.fn((target, costumeName) => {
         const costume = target.sprite.costumes.find(c => c.name === costumeName);
@@ -9,7 +35,14 @@ jest.mock("../../src/vm/extensions/block/costume-util.js", () => ({
     }),
     costumeToDataURL: jest.fn((costume, format) => {
         return Promise.resolve(costume.asset.encodeDataURI());
-    })
+    }),
+    insertImageAsSvgCostume: jest.fn(() => Promise.resolve({})),
+    addImageAsCostume: jest.fn(() => Promise.resolve({}))
+}));
+jest.mock("../../src/vm/extensions/block/hand-data-file.js", () => ({
+    ...jest.requireActual("../../src/vm/extensions/block/hand-data-file.js"),
+    downloadTextFile: jest.fn(),
+    openTextFile: jest.fn()
 }));
 
 // Mock browser APIs before tests run
@@ -100,14 +133,18 @@ describe("blockClass", () => {
         // Storage for event listeners
         _eventListeners: {},
         // Add getTargetForStage method
-        getTargetForStage: jest.fn(() => mockStage)
+        getTargetForStage: jest.fn(() => mockStage),
+        startHats: jest.fn()
     };
 
     let block;
 
     beforeEach(() => {
+        // Forget the listeners of the previous instance
+        runtime._eventListeners = {};
         block = new blockClass(runtime);
         mockHelpers.resetHandData(); // Reset to default mock data before each test
+        mockGestureHelpers.resetGestureData();
         
         // Reset the mock stage properties before each test
         mockStage.videoTransparency = 50;
@@ -116,6 +153,17 @@ describe("blockClass", () => {
         // Reset mock function calls
         setNumHands.mockClear();
         getNumHands.mockClear();
+        recognize.mockClear();
+        loadHandLandmarker.mockClear();
+        runtime.startHats.mockClear();
+    });
+
+    afterEach(() => {
+        // Stop the loops so that the timers do not keep the test running
+        block.stopHandDetection();
+        block.stopReplaying();
+        block.removeModelStatusListener();
+        jest.useRealTimers();
     });
 
     test("should create an instance of blockClass", () => {
@@ -415,4 +463,1012 @@ describe("blockClass", () => {
         expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 25 })).toBe(0);
         expect(block.handLandmarkRelativeX({ HAND_NUMBER: 1, LANDMARK: 25 })).toBe(0);
     });
+
+    test("should report gestures matched to hands by position", async () => {
+        block.hands = mockHelpers.resetHandData();
+
+        // Gesture recognition starts when a gesture block is used
+        expect(block.gestureOfHand({ HAND_NUMBER: 1 })).toBe(' ');
+        expect(block.gestureRecognizing).toBe(true);
+
+        await block.detectHandOnStage();
+        expect(recognize).toHaveBeenCalled();
+
+        // The mock gestures are in the reversed order of the hands
+        expect(block.gestureOfHand({ HAND_NUMBER: 1 })).toBe('Closed_Fist');
+        expect(block.gestureScore({ HAND_NUMBER: 1 })).toBe(0.9);
+        expect(block.gestureOfHand({ HAND_NUMBER: 2 })).toBe('Victory');
+        expect(block.isHandShowingGesture({ HAND_NUMBER: 2, GESTURE: 'Victory' })).toBe(true);
+        expect(block.isHandShowingGesture({ HAND_NUMBER: 2, GESTURE: 'closed_fist' })).toBe(false);
+    });
+
+    test("should detect hands even when gesture recognition fails", async () => {
+        block.gestureOfHand({ HAND_NUMBER: 1 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        recognize.mockImplementationOnce(() => Promise.reject(new Error('Gesture model not available')));
+
+        expect(await block.detectHandOnStage()).toBe('Hand detected');
+        expect(block.numberOfHands()).toBe(2);
+        expect(block.gestureOfHand({ HAND_NUMBER: 1 })).toBe(' ');
+
+        // A failure of the hand detection settles the block
+        detect.mockImplementationOnce(() => Promise.reject(new Error('Detection failed')));
+        expect(await block.detectHandOnStage()).toBe('Detection failed');
+        console.error.mockRestore();
+    });
+
+    test("should handle gestures when no hands detected", () => {
+        mockHelpers.clearHandData();
+
+        expect(block.gestureOfHand({ HAND_NUMBER: 1 })).toBe(' ');
+        expect(block.gestureScore({ HAND_NUMBER: 1 })).toBe(0);
+        expect(block.isHandShowingGesture({ HAND_NUMBER: 1, GESTURE: 'None' })).toBe(false);
+    });
+
+    test("should get and set gesture model path", async () => {
+        expect(typeof block.getGestureModelPath()).toBe('string');
+
+        const newPath = 'https://example.com/models/custom_gesture.task';
+        const result = await block.setGestureModelPath({ PATH: newPath });
+        expect(result).toBe('Gesture model asset path set successfully');
+        expect(setGestureModelAssetPath).toHaveBeenCalledWith(newPath);
+        expect(block.getGestureModelPath()).toBe(newPath);
+
+        expect(await block.setGestureModelPath({ PATH: ' ' })).toBeUndefined();
+    });
+
+    test("should start hats once when hands appear and disappear", () => {
+        const mockData = mockHelpers.resetHandData();
+        const rightHandOnly = {
+            handednesses: [mockData.handednesses[0]],
+            landmarks: [mockData.landmarks[0]],
+            worldLandmarks: [mockData.worldLandmarks[0]]
+        };
+
+        block.updateHands(rightHandOnly);
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenHandDetected');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenNumberOfHandsChanged');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenHandednessChanged');
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Right', APPEARANCE: 'appears' })).toBe(true);
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Left', APPEARANCE: 'appears' })).toBe(false);
+
+        // No transition, no hats
+        runtime.startHats.mockClear();
+        block.updateHands(rightHandOnly);
+        expect(runtime.startHats).not.toHaveBeenCalled();
+
+        // Left hand appears
+        block.updateHands(mockData);
+        expect(runtime.startHats).not.toHaveBeenCalledWith('xcxMPHand_whenHandDetected');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenNumberOfHandsChanged');
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Left', APPEARANCE: 'appears' })).toBe(true);
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Right', APPEARANCE: 'appears' })).toBe(false);
+
+        // All hands lost
+        runtime.startHats.mockClear();
+        block.updateHands({ handednesses: [], landmarks: [], worldLandmarks: [] });
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenHandLost');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenNumberOfHandsChanged');
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Left', APPEARANCE: 'disappears' })).toBe(true);
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Right', APPEARANCE: 'disappears' })).toBe(true);
+        expect(block.numberOfHands()).toBe(0);
+    });
+
+    test("should start hats from detection on stage", async () => {
+        await block.detectHandOnStage();
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenHandDetected');
+    });
+
+    test("should report finger states", () => {
+        block.hands = createHandResult([
+            { handedness: 'Right', curledFingers: ['thumb', 'ring', 'pinky'] },
+            { handedness: 'Left', curledFingers: ['thumb', 'index', 'middle', 'ring', 'pinky'] }
+        ]);
+
+        expect(block.isFingerExtended({ HAND_NUMBER: 1, FINGER: 'index' })).toBe(true);
+        expect(block.isFingerExtended({ HAND_NUMBER: 1, FINGER: 'ring' })).toBe(false);
+        expect(block.fingerCurl({ HAND_NUMBER: 1, FINGER: 'index' })).toBeLessThan(10);
+        expect(block.fingerCurl({ HAND_NUMBER: 2, FINGER: 'index' })).toBeGreaterThan(90);
+        expect(block.numberOfExtendedFingers({ HAND_NUMBER: 1 })).toBe(2);
+        expect(block.numberOfExtendedFingers({ HAND_NUMBER: 2 })).toBe(0);
+        expect(block.numberOfExtendedFingersOfAllHands()).toBe(2);
+    });
+
+    test("should handle finger states when no hands detected", () => {
+        mockHelpers.clearHandData();
+
+        expect(block.isFingerExtended({ HAND_NUMBER: 1, FINGER: 'index' })).toBe(false);
+        expect(block.fingerCurl({ HAND_NUMBER: 1, FINGER: 'index' })).toBe(0);
+        expect(block.numberOfExtendedFingers({ HAND_NUMBER: 1 })).toBe(0);
+        expect(block.numberOfExtendedFingersOfAllHands()).toBe(0);
+    });
+
+    test("should measure distance between landmarks", () => {
+        block.hands = createHandResult([
+            { handedness: 'Right', x: 0.3 },
+            { handedness: 'Left', x: 0.7 }
+        ]);
+
+        // Wrist to middle finger MCP is 8cm in the world and 0.16 of the image height
+        const stageDistance = block.distanceBetweenLandmarks({
+            HAND_NUMBER: 1, LANDMARK: 0, OTHER_HAND_NUMBER: 1, OTHER_LANDMARK: 9, UNIT: 'stage'
+        });
+        expect(stageDistance).toBeCloseTo(0.16 * 360);
+        const worldDistance = block.distanceBetweenLandmarks({
+            HAND_NUMBER: 1, LANDMARK: 0, OTHER_HAND_NUMBER: 1, OTHER_LANDMARK: 9, UNIT: 'world'
+        });
+        expect(worldDistance).toBeCloseTo(8);
+
+        // Between the hands, the world distance is estimated from the scale of the hands
+        const acrossHands = block.distanceBetweenLandmarks({
+            HAND_NUMBER: 1, LANDMARK: 0, OTHER_HAND_NUMBER: 2, OTHER_LANDMARK: 0, UNIT: 'world'
+        });
+        expect(acrossHands).toBeCloseTo(0.4 * 480 * (8 / (0.16 * 360)));
+
+        expect(block.distanceBetweenLandmarks({
+            HAND_NUMBER: 3, LANDMARK: 0, OTHER_HAND_NUMBER: 1, OTHER_LANDMARK: 0, UNIT: 'stage'
+        })).toBe(0);
+    });
+
+    test("should detect pinch and start pinch hats", () => {
+        const open = createHandResult([{ handedness: 'Right' }]);
+        const pinching = createHandResult([{ handedness: 'Right' }]);
+        const indexTip = pinching.worldLandmarks[0][8];
+        pinching.worldLandmarks[0][4] = { x: indexTip.x + 0.01, y: indexTip.y, z: indexTip.z };
+
+        block.updateHands(open);
+        expect(block.isHandPinching({ HAND_NUMBER: 1 })).toBe(false);
+
+        runtime.startHats.mockClear();
+        block.updateHands(pinching);
+        expect(block.isHandPinching({ HAND_NUMBER: 1 })).toBe(true);
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenPinch');
+        expect(block.whenPinch({ PINCH_EVENT: 'starts' })).toBe(true);
+        expect(block.whenPinch({ PINCH_EVENT: 'ends' })).toBe(false);
+
+        // Threshold is smaller than the gap
+        block.setPinchThreshold({ THRESHOLD: 0.5 });
+        expect(block.getPinchThreshold()).toBe(0.5);
+        expect(block.isHandPinching({ HAND_NUMBER: 1 })).toBe(false);
+        block.setPinchThreshold({ THRESHOLD: 3 });
+
+        runtime.startHats.mockClear();
+        block.updateHands(open);
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenPinch');
+        expect(block.whenPinch({ PINCH_EVENT: 'ends' })).toBe(true);
+    });
+
+    test("should start pinch hats when one hand starts and another ends pinching at once", () => {
+        const twoHands = pinchingIndex => {
+            const result = createHandResult([{ handedness: 'Left', x: 0.3 }, { handedness: 'Right', x: 0.7 }]);
+            const indexTip = result.worldLandmarks[pinchingIndex][8];
+            result.worldLandmarks[pinchingIndex][4] = { x: indexTip.x + 0.01, y: indexTip.y, z: indexTip.z };
+            return result;
+        };
+
+        block.updateHands(twoHands(0));
+        expect(block.isHandPinching({ HAND_NUMBER: 1 })).toBe(true);
+
+        runtime.startHats.mockClear();
+        block.updateHands(twoHands(1));
+        expect(block.isHandPinching({ HAND_NUMBER: 2 })).toBe(true);
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenPinch');
+        expect(block.whenPinch({ PINCH_EVENT: 'starts' })).toBe(true);
+        expect(block.whenPinch({ PINCH_EVENT: 'ends' })).toBe(true);
+    });
+
+    test("should report angles and orientation of hands", () => {
+        block.hands = createHandResult([
+            { handedness: 'Left', curledFingers: ['index'] },
+            { handedness: 'Right' }
+        ]);
+
+        expect(block.angleAtLandmark({ HAND_NUMBER: 1, LANDMARK: 6, LANDMARK_A: 5, LANDMARK_B: 7 }))
+            .toBeCloseTo(90);
+        expect(block.angleAtLandmark({ HAND_NUMBER: 2, LANDMARK: 6, LANDMARK_A: 5, LANDMARK_B: 7 }))
+            .toBeCloseTo(180);
+        expect(block.angleAtLandmark({ HAND_NUMBER: 1, LANDMARK: 1.5, LANDMARK_A: 5, LANDMARK_B: 7 })).toBe(0);
+        expect(block.angleAtLandmark({ HAND_NUMBER: 1, LANDMARK: 6, LANDMARK_A: 5, LANDMARK_B: 30 }))
+            .toBe(0);
+
+        // Fingers point up on the stage
+        expect(block.handRotationOnStage({ HAND_NUMBER: 1 })).toBeCloseTo(0);
+        expect(block.handOrientation({ HAND_NUMBER: 1, ORIENTATION: 'roll' })).toBeCloseTo(0);
+        expect(block.isPalmFacingCamera({ HAND_NUMBER: 1 })).toBe(true);
+        expect(block.isPalmFacingCamera({ HAND_NUMBER: 2 })).toBe(false);
+
+        // Turn the hand to point to the right
+        const rotate = p => ({ x: -p.y, y: p.x, z: p.z });
+        block.hands.worldLandmarks[0] = block.hands.worldLandmarks[0].map(rotate);
+        block.hands.landmarks[0] = block.hands.worldLandmarks[0].map(p => ({ x: 0.5 + p.x, y: 0.5 + p.y, z: p.z }));
+        expect(block.handRotationOnStage({ HAND_NUMBER: 1 })).toBeCloseTo(90);
+        expect(block.handOrientation({ HAND_NUMBER: 1, ORIENTATION: 'roll' })).toBeCloseTo(90);
+
+        expect(block.handRotationOnStage({ HAND_NUMBER: 3 })).toBe(0);
+        expect(block.handOrientation({ HAND_NUMBER: 3, ORIENTATION: 'pitch' })).toBe(0);
+        expect(block.isPalmFacingCamera({ HAND_NUMBER: 3 })).toBe(false);
+    });
+
+    test("should smooth landmarks between detections", () => {
+        const nowSpy = jest.spyOn(performance, 'now');
+        const handAt = x => createHandResult([{ handedness: 'Right', x: x }]);
+
+        // No smoothing by default
+        block.updateHands(handAt(0.5));
+        block.updateHands(handAt(0.7));
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(0.2 * 480);
+
+        block.setSmoothing({ SMOOTHING: 150 });
+        expect(block.getSmoothing()).toBe(100);
+
+        nowSpy.mockReturnValue(1000);
+        block.updateHands(handAt(0.5), null, {}, 'camera');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(0);
+        nowSpy.mockReturnValue(1033);
+        block.updateHands(handAt(0.7), null, {}, 'camera');
+        const smoothedX = block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 });
+        expect(smoothedX).toBeGreaterThan(0);
+        expect(smoothedX).toBeLessThan(0.2 * 480);
+
+        // A new hand is not smoothed with the previous one
+        nowSpy.mockReturnValue(1066);
+        block.updateHands(createHandResult([{ handedness: 'Left', x: 0.1 }]), null, {}, 'camera');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.4 * 480);
+
+        // A one-off detection is not smoothed and does not continue the camera stream
+        nowSpy.mockReturnValue(1100);
+        block.updateHands(createHandResult([{ handedness: 'Left', x: 0.3 }]));
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.2 * 480);
+        nowSpy.mockReturnValue(1133);
+        block.updateHands(createHandResult([{ handedness: 'Left', x: 0.1 }]), null, {}, 'camera');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.4 * 480);
+
+        // Another stream starts new filters
+        nowSpy.mockReturnValue(1166);
+        block.updateHands(createHandResult([{ handedness: 'Left', x: 0.3 }]), null, {}, 'replay');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.2 * 480);
+
+        nowSpy.mockRestore();
+    });
+
+    test("should keep hand IDs across detections", () => {
+        block.updateHands(createHandResult([
+            { handedness: 'Right', x: 0.3 },
+            { handedness: 'Left', x: 0.7 }
+        ]));
+        expect(block.handId({ HAND_NUMBER: 1 })).toBe(1);
+        expect(block.handId({ HAND_NUMBER: 2 })).toBe(2);
+
+        // MediaPipe returns the hands in the other order
+        block.updateHands(createHandResult([
+            { handedness: 'Left', x: 0.68 },
+            { handedness: 'Right', x: 0.32 }
+        ]));
+        expect(block.handId({ HAND_NUMBER: 1 })).toBe(2);
+        expect(block.handId({ HAND_NUMBER: 2 })).toBe(1);
+
+        // Address the hands by ID
+        block.setHandNumberMode({ HAND_NUMBER_MODE: 'id' });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Right');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.18 * 480);
+        expect(block.handId({ HAND_NUMBER: 2 })).toBe(2);
+        expect(block.handedness({ HAND_NUMBER: 3 })).toBe(' ');
+        expect(block.handId({ HAND_NUMBER: 3 })).toBe(0);
+
+        block.setHandNumberMode({ HAND_NUMBER_MODE: 'order' });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Left');
+
+        block.updateHands(null);
+        expect(block.handId({ HAND_NUMBER: 1 })).toBe(0);
+    });
+
+    test("should follow the camera mirroring for handedness and x", () => {
+        const hands = () => {
+            const result = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+            // Tilt the hand to the right a little
+            const tilt = p => ({ x: (p.x * 0.9) - (p.y * 0.4), y: (p.x * 0.4) + (p.y * 0.9), z: p.z });
+            result.worldLandmarks[0] = result.worldLandmarks[0].map(tilt);
+            return result;
+        };
+
+        // Mirrored camera image
+        block.updateHands(hands(), null, { mirrored: true, flipX: false });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Right');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(-0.2 * 480);
+        const relativeX = block.handLandmarkRelativeX({ HAND_NUMBER: 1, LANDMARK: 5 });
+        const roll = block.handOrientation({ HAND_NUMBER: 1, ORIENTATION: 'roll' });
+        expect(roll).toBeGreaterThan(10);
+
+        // The stage shows the camera without mirroring
+        block.updateHands(hands(), null, { mirrored: true, flipX: true });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Right');
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(0.2 * 480);
+        expect(block.handLandmarkRelativeX({ HAND_NUMBER: 1, LANDMARK: 5 })).toBeCloseTo(-relativeX);
+        expect(block.handOrientation({ HAND_NUMBER: 1, ORIENTATION: 'roll' })).toBeCloseTo(-roll);
+
+        // The image was not mirrored, so MediaPipe swapped the handedness
+        block.updateHands(hands(), null, { mirrored: false });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Left');
+        expect(block.whenHandednessChanged({ HANDEDNESS: 'Left', APPEARANCE: 'appears' })).toBe(true);
+
+        block.setHandednessView({ HANDEDNESS_VIEW: 'camera' });
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Right');
+    });
+
+    test("should detect on stage as the video is shown", async () => {
+        block.videoToggle({ VIDEO_STATE: 'on-flipped' });
+        await block.detectHandOnStage();
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Left');
+
+        block.videoToggle({ VIDEO_STATE: 'on' });
+        await block.detectHandOnStage();
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Right');
+    });
+
+    test("should map landmarks to the stage of any size", () => {
+        const hands = createHandResult([{ handedness: 'Right', x: 0.75, y: 0.25 }]);
+
+        block.updateHands(hands, null, { width: 640, height: 360 });
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(120);
+        expect(block.handLandmarkY({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(90);
+
+        // Letterboxed in the stage
+        block.updateHands(hands, null, { width: 640, height: 360, fit: 'contain' });
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(120);
+        expect(block.handLandmarkY({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(67.5);
+
+        // Cropped by the stage
+        block.updateHands(hands, null, { width: 640, height: 360, fit: 'cover' });
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(160);
+        expect(block.handLandmarkY({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(90);
+
+        // Custom stage size of the runtime
+        runtime.stageWidth = 640;
+        runtime.stageHeight = 360;
+        block.updateHands(hands, null, { width: 640, height: 360, fit: 'contain' });
+        expect(block.stageSize()).toEqual({ width: 640, height: 360 });
+        expect(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 })).toBeCloseTo(160);
+        delete runtime.stageWidth;
+        delete runtime.stageHeight;
+    });
+
+    test("should get camera frames in the aspect ratio of the camera", () => {
+        expect(block.cameraFrameDimensions()).toEqual([480, 360]);
+        runtime.ioDevices.video.provider = { video: { videoWidth: 1280, videoHeight: 720 } };
+        expect(block.cameraFrameDimensions()).toEqual([640, 360]);
+        delete runtime.ioDevices.video.provider;
+
+        block.setCameraFit({ CAMERA_FIT: 'cover' });
+        expect(block.cameraFit).toBe('cover');
+        block.setCameraFit({ CAMERA_FIT: 'unknown' });
+        expect(block.cameraFit).toBe('cover');
+    });
+
+    test("should detect on every frame in the video running mode", async () => {
+        block.globalVideoState = 'on';
+        block.setDetectionScheduling({ SCHEDULING: 'frame' });
+        block.startHandDetection();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(detectForVideo).toHaveBeenCalled();
+
+        // The result is stored at the start of the next frame
+        expect(block.numberOfHands()).toBe(0);
+        runtime.emit('BEFORE_EXECUTE');
+        expect(block.numberOfHands()).toBe(2);
+        expect(block.frameEventSupported).toBe(true);
+
+        block.stopHandDetection();
+        expect(block.isHandDetecting()).toBe(false);
+    });
+
+    test("should not continue the stopped loop when the scheduling is switched while detecting", async () => {
+        jest.useFakeTimers();
+        const flushPromises = async () => {
+            for (let i = 0; i < 10; i++) await Promise.resolve();
+        };
+        let finishDetection;
+        detectForVideo.mockClear();
+        detectForVideo.mockImplementationOnce(image => new Promise(resolve => {
+            finishDetection = () => resolve(detect(image));
+        }));
+        block.globalVideoState = 'on';
+        block.frameEventSupported = true;
+        block.startHandDetection();
+        jest.advanceTimersByTime(block.detectionIntervalTime);
+        await flushPromises();
+        expect(detectForVideo).toHaveBeenCalledTimes(1);
+
+        // Switch while the detection of the interval loop is running
+        block.setDetectionScheduling({ SCHEDULING: 'frame' });
+        finishDetection();
+        await flushPromises();
+        expect(block.numberOfHands()).toBe(0);
+        expect(block.pendingDetection).toBeNull();
+
+        // Only the frame loop detects after that
+        jest.advanceTimersByTime(block.detectionIntervalTime * 3);
+        await flushPromises();
+        expect(detectForVideo).toHaveBeenCalledTimes(1);
+        runtime.emit('BEFORE_EXECUTE');
+        expect(detectForVideo).toHaveBeenCalledTimes(2);
+    });
+
+    test("should get and set MediaPipe base URL", async () => {
+        expect(block.getAssetBaseURL()).toMatch(/mediapipe\/$/);
+
+        const newURL = 'https://example.com/assets/mediapipe/';
+        const result = await block.setAssetBaseURL({ URL: newURL });
+        expect(result).toBe('MediaPipe base URL set successfully');
+        expect(setAssetBaseURL).toHaveBeenCalledWith(newURL);
+        expect(resetGestureRecognizer).toHaveBeenCalled();
+        expect(block.getAssetBaseURL()).toBe(newURL);
+    });
+
+    test("should load the model lazily and report its status", async () => {
+        mockHelpers.resetModel();
+        expect(block.modelStatus()).toBe('unloaded');
+        expect(block.isModelReady()).toBe(false);
+
+        // Loading fails
+        mockHelpers.setLoadingError(new Error('Failed to fetch the model'));
+        expect(await block.loadModel()).toBe('Failed to fetch the model');
+        expect(block.modelStatus()).toBe('error');
+        expect(block.modelError()).toBe('Failed to fetch the model');
+        expect(runtime.startHats).not.toHaveBeenCalledWith('xcxMPHand_whenModelReady');
+
+        // Retry
+        mockHelpers.setLoadingError(null);
+        expect(await block.loadModel()).toBe('Hand model loaded successfully');
+        expect(loadHandLandmarker).toHaveBeenCalledTimes(2);
+        expect(block.modelStatus()).toBe('ready');
+        expect(block.isModelReady()).toBe(true);
+        expect(block.modelError()).toBe('');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenModelReady');
+        expect(block.whenModelReady()).toBe(true);
+    });
+
+    test("should listen to the model status of each loaded project", async () => {
+        runtime.emit('RUNTIME_DISPOSED');
+        mockHelpers.resetModel();
+        runtime.startHats.mockClear();
+        expect(await block.loadModel()).toBe('Hand model loaded successfully');
+        expect(runtime.startHats).not.toHaveBeenCalledWith('xcxMPHand_whenModelReady');
+
+        // Load a second project
+        runtime.emit('RUNTIME_DISPOSED');
+        runtime.emit('PROJECT_LOADED');
+        mockHelpers.resetModel();
+        runtime.startHats.mockClear();
+        expect(await block.loadModel()).toBe('Hand model loaded successfully');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenModelReady');
+        expect(runtime.startHats).toHaveBeenCalledTimes(1);
+    });
+
+    test("should set processing unit", async () => {
+        mockHelpers.resetModel();
+        expect(block.processingUnit()).toBe('');
+
+        await block.loadModel();
+        expect(block.processingUnit()).toBe('GPU');
+
+        expect(await block.setProcessingUnit({ DELEGATE: 'CPU' })).toBe('Processing unit set successfully');
+        expect(setDelegate).toHaveBeenCalledWith('CPU');
+        expect(resetGestureRecognizer).toHaveBeenCalled();
+        expect(block.processingUnit()).toBe('CPU');
+
+        setDelegate.mockClear();
+        expect(await block.setProcessingUnit({ DELEGATE: 'TPU' })).toBeUndefined();
+        expect(setDelegate).not.toHaveBeenCalled();
+    });
+
+    test("should set detection confidence thresholds", async () => {
+        expect(block.getConfidence({ CONFIDENCE: 'minTrackingConfidence' })).toBe(0.5);
+
+        expect(await block.setConfidence({ CONFIDENCE: 'minTrackingConfidence', VALUE: 0.8 }))
+            .toBe('Confidence set successfully');
+        expect(setConfidence).toHaveBeenCalledWith('minTrackingConfidence', 0.8);
+        expect(block.getConfidence({ CONFIDENCE: 'minTrackingConfidence' })).toBe(0.8);
+
+        await block.setConfidence({ CONFIDENCE: 'minHandDetectionConfidence', VALUE: 2 });
+        expect(setConfidence).toHaveBeenCalledWith('minHandDetectionConfidence', 1);
+
+        // Only the confidences are reported, not the properties of objects
+        expect(block.getConfidence({ CONFIDENCE: 'constructor' })).toBe('');
+        expect(block.getConfidence({ CONFIDENCE: 'unknown' })).toBe('');
+    });
+
+    test("should get handedness confidence", async () => {
+        expect(block.handednessConfidence({ HAND_NUMBER: 1 })).toBe(0);
+
+        const handResult = createHandResult([{ handedness: 'Left' }]);
+        handResult.handednesses[0][0].score = 0.87;
+        block.updateHands(handResult);
+        expect(block.handednessConfidence({ HAND_NUMBER: 1 })).toBe(0.87);
+        expect(block.handednessConfidence({ HAND_NUMBER: 2 })).toBe(0);
+    });
+
+    test("should select hands by handedness, position and size", () => {
+        expect(block.handedness({ HAND_NUMBER: 'left' })).toBe(' ');
+
+        block.hands = createHandResult([
+            { handedness: 'Right', x: 0.7 },
+            { handedness: 'Left', x: 0.3 }
+        ]);
+        // The left hand looks twice as large as the right hand
+        block.hands.landmarks[1] = block.hands.landmarks[1].map(landmark => ({
+            x: 0.3 + ((landmark.x - 0.3) * 2),
+            y: 0.7 + ((landmark.y - 0.7) * 2),
+            z: landmark.z
+        }));
+
+        expect(block.handedness({ HAND_NUMBER: 'left' })).toBe('Left');
+        expect(block.handedness({ HAND_NUMBER: 'Right' })).toBe('Right');
+        expect(block.handLandmarkX({ HAND_NUMBER: 'leftmost', LANDMARK: 0 }))
+            .toBe(block.handLandmarkX({ HAND_NUMBER: 2, LANDMARK: 0 }));
+        expect(block.handLandmarkRelativeX({ HAND_NUMBER: 'closest', LANDMARK: 8 }))
+            .toBe(block.handLandmarkRelativeX({ HAND_NUMBER: 2, LANDMARK: 8 }));
+        expect(block.handLandmarkX({ HAND_NUMBER: '1', LANDMARK: 0 }))
+            .toBe(block.handLandmarkX({ HAND_NUMBER: 1, LANDMARK: 0 }));
+
+        // The left-most hand follows the video on the stage
+        block.flipX = true;
+        expect(block.handedness({ HAND_NUMBER: 'leftmost' })).toBe('Right');
+    });
+
+    test("should report bounding box, palm center and size of hand", () => {
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'width' })).toBe(0);
+        expect(block.palmCenterX({ HAND_NUMBER: 1 })).toBe(0);
+        expect(block.handSize({ HAND_NUMBER: 1 })).toBe(0);
+
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'left' })).toBeCloseTo(-134.4);
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'right' })).toBeCloseTo(-24);
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'top' })).toBeCloseTo(36);
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'bottom' })).toBeCloseTo(-72);
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'width' })).toBeCloseTo(110.4);
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'height' })).toBeCloseTo(108);
+        expect(block.palmCenterX({ HAND_NUMBER: 1 })).toBeCloseTo(-103.68);
+        expect(block.palmCenterY({ HAND_NUMBER: 1 })).toBeCloseTo(-25.92);
+        expect(block.handSize({ HAND_NUMBER: 1 })).toBeCloseTo(0.16 * 360);
+
+        // The edges follow the video on the stage
+        block.flipX = true;
+        expect(block.handBounds({ HAND_NUMBER: 1, BOUNDS: 'left' })).toBeCloseTo(24);
+        expect(block.palmCenterX({ HAND_NUMBER: 1 })).toBeCloseTo(103.68);
+    });
+
+    test("should move sprite to and toward hand landmark", () => {
+        const target = {
+            isStage: false,
+            x: 0,
+            y: 0,
+            direction: 90,
+            setXY: jest.fn(function (x, y) {
+                this.x = x;
+                this.y = y;
+            }),
+            setDirection: jest.fn(function (direction) {
+                this.direction = direction;
+            })
+        };
+        const util = { target };
+
+        block.goToHandLandmark({ LANDMARK: '0', HAND_NUMBER: 1, ROTATION: 'keep' }, util);
+        expect(target.setXY).not.toHaveBeenCalled();
+
+        // Wrist at (-96, -72) on the stage, pointing up
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+
+        block.glideTowardHandLandmark({ LANDMARK: '0', HAND_NUMBER: 1, SPEED: 50, ROTATION: 'turn' }, util);
+        expect(target.x).toBeCloseTo(-48);
+        expect(target.y).toBeCloseTo(-36);
+        expect(target.direction).toBeCloseTo(45);
+
+        block.goToHandLandmark({ LANDMARK: '0', HAND_NUMBER: 1, ROTATION: 'keep' }, util);
+        expect(target.x).toBeCloseTo(-96);
+        expect(target.y).toBeCloseTo(-72);
+        expect(target.direction).toBeCloseTo(45);
+
+        block.goToHandLandmark({ LANDMARK: '0', HAND_NUMBER: 1, ROTATION: 'turn' }, util);
+        expect(target.direction).toBeCloseTo(0);
+    });
+
+    test("should hit-test hand against rendered sprite", () => {
+        // A sprite which has opaque pixels only around (-96, 0) on the stage,
+        // which is shown on the canvas twice as large as the stage
+        const drawableTouching = jest.fn((drawableID, clientX, clientY) => {
+            const x = (clientX / 2) - 240;
+            const y = 180 - (clientY / 2);
+            return drawableID === 7 && Math.abs(x + 96) < 3 && Math.abs(y) < 3;
+        });
+        const target = { isStage: false, visible: true, drawableID: 7 };
+        const other = { isStage: false, visible: true, drawableID: 8, sprite: { clones: [] } };
+        other.sprite.clones.push(other);
+        Object.assign(runtime.renderer, {
+            drawableTouching,
+            canvas: { clientWidth: 960, clientHeight: 720 },
+            getNativeSize: () => [480, 360]
+        });
+        runtime.getSpriteTargetByName = jest.fn(name => (name === 'Other' ? other : null));
+        const util = { target };
+
+        expect(block.isHandTouchingSprite({ PART: 'any', HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+            .toBe(false);
+
+        // The middle finger MCP is at (-96, -14.4) and the PIP at (-96, 7.2),
+        // so only the sampled points along the bone between them reach the sprite.
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+        expect(block.isHandTouchingSprite({ PART: 'any', HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+            .toBe(true);
+        expect(drawableTouching).toHaveBeenCalled();
+        expect(block.isHandTouchingSprite({ PART: '9', HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+            .toBe(false);
+        expect(block.isHandTouchingSprite({ PART: '10', HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+            .toBe(false);
+
+        // An unknown part is not the wrist
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3, y: 0.5 }]);
+        expect(block.isHandTouchingSprite({ PART: '0', HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+            .toBe(true);
+        ['wrist', '', '0.5', '21'].forEach(part => {
+            expect(block.isHandTouchingSprite({ PART: part, HAND_NUMBER: 1, SPRITE: '_myself_' }, util))
+                .toBe(false);
+        });
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+        expect(block.whenHandTouchesSprite({ PART: 'any', HAND_NUMBER: 1 }, util)).toBe(true);
+        expect(block.isHandTouchingSprite({ PART: 'any', HAND_NUMBER: 1, SPRITE: 'Other' }, util))
+            .toBe(false);
+        expect(block.isHandTouchingSprite({ PART: 'any', HAND_NUMBER: 1, SPRITE: 'Missing' }, util))
+            .toBe(false);
+
+        target.visible = false;
+        expect(block.whenHandTouchesSprite({ PART: 'any', HAND_NUMBER: 1 }, util)).toBe(false);
+
+        delete runtime.renderer.drawableTouching;
+        delete runtime.renderer.canvas;
+        delete runtime.renderer.getNativeSize;
+        delete runtime.getSpriteTargetByName;
+    });
+
+    test("should draw skeleton overlay when hands are updated", () => {
+        const draw = jest.spyOn(block.skeletonOverlay, 'draw').mockImplementation(() => {});
+
+        block.updateHands(createHandResult([{ handedness: 'Right', x: 0.3 }]));
+        expect(draw).not.toHaveBeenCalled();
+
+        block.showSkeleton({ SKELETON_STATE: 'on' });
+        expect(block.skeletonOverlay.visible).toBe(true);
+        expect(draw).toHaveBeenCalledTimes(1);
+
+        // The skeleton follows the video which is not mirrored
+        block.updateHands(createHandResult([{ handedness: 'Right', x: 0.3 }]), null, { flipX: true });
+        const [hands, stageSize] = draw.mock.calls[1];
+        expect(hands[0].handedness).toBe('Right');
+        expect(hands[0].points[0].x).toBeCloseTo(96);
+        expect(stageSize).toEqual({ width: 480, height: 360 });
+
+        block.setSkeletonColor({ HANDEDNESS: 'Left', COLOR: '#ff0000' });
+        expect(block.skeletonOverlay.colors.Left).toBe('rgb(255, 0, 0)');
+        block.setSkeletonLineWidth({ WIDTH: 5 });
+        expect(block.skeletonOverlay.lineWidth).toBe(5);
+
+        block.stopHandDetection();
+        expect(draw.mock.calls[draw.mock.calls.length - 1][0]).toEqual([]);
+
+        block.showSkeleton({ SKELETON_STATE: 'off' });
+        expect(block.skeletonOverlay.visible).toBe(false);
+    });
+
+    test("should save hand skeleton as costume", async () => {
+        const util = { target: { id: 'sprite' } };
+        insertImageAsSvgCostume.mockClear();
+
+        expect(await block.saveHandAsCostume({ HAND_NUMBER: 1, NAME: 'pose', POSE_CONTENT: 'skeleton' }, util))
+            .toBe('Hand not detected');
+        expect(insertImageAsSvgCostume).not.toHaveBeenCalled();
+
+        block.hands = createHandResult([{ handedness: 'Left', x: 0.3 }]);
+        expect(await block.saveHandAsCostume({ HAND_NUMBER: 1, NAME: 'pose', POSE_CONTENT: 'skeleton' }, util))
+            .toBe('Costume saved');
+        const [, target, dataURL, width, height, name] = insertImageAsSvgCostume.mock.calls[0];
+        expect(target).toBe(util.target);
+        expect(name).toBe('pose');
+        // The box around the hand (110.4 x 108) with the margins
+        expect(width).toBeCloseTo(110.4 + 26);
+        expect(height).toBeCloseTo(108 + 26);
+        const svg = atob(dataURL.split(',')[1]);
+        expect(svg).toContain('stroke="#00c0ff"');
+        expect(svg).not.toContain('<image');
+    });
+
+    test("should capture camera around hand as costume", async () => {
+        const util = { target: { id: 'sprite' } };
+        const frame = { width: 640, height: 360 };
+        const getFrame = runtime.ioDevices.video.getFrame;
+        runtime.ioDevices.video.getFrame = jest.fn(() => frame);
+        mockCanvas.toDataURL.mockReturnValue('data:image/png;base64,captured');
+        addImageAsCostume.mockClear();
+
+        expect(await block.captureHandAsCostume({ HAND_NUMBER: 1, MARGIN: 20, NAME: 'photo' }, util))
+            .toBe('Hand not detected');
+
+        // The box around the hand is from (-134.4, 36) to (-24, -72) on the stage
+        block.hands = createHandResult([{ handedness: 'Right', x: 0.3 }]);
+        expect(await block.captureHandAsCostume({ HAND_NUMBER: 1, MARGIN: 20, NAME: 'photo' }, util))
+            .toBe('Costume captured');
+        expect(runtime.ioDevices.video.getFrame).toHaveBeenCalledWith(
+            expect.objectContaining({ format: 'canvas', mirror: true }));
+        const ctx = mockCanvas.getContext.mock.results[mockCanvas.getContext.mock.results.length - 1].value;
+        const [image, sx, sy, sw, sh, dx, dy, dw, dh] = ctx.drawImage.mock.calls[0];
+        expect(image).toBe(frame);
+        expect(sx).toBeCloseTo(((-154.4 / 480) + 0.5) * 640);
+        expect(sy).toBeCloseTo(124);
+        expect(sw).toBeCloseTo(150.4 / 480 * 640);
+        expect(sh).toBeCloseTo(148);
+        expect([dx, dy, dw, dh]).toEqual([0, 0, 301, 296]);
+        expect(addImageAsCostume).toHaveBeenCalledWith(
+            util.target, 'data:image/png;base64,captured', runtime, 'photo');
+
+        // Out of the camera image
+        block.hands.landmarks[0] = block.hands.landmarks[0].map(landmark => ({ x: landmark.x - 2, y: landmark.y }));
+        expect(await block.captureHandAsCostume({ HAND_NUMBER: 1, MARGIN: 0, NAME: 'photo' }, util))
+            .toBe('Camera image not available');
+
+        runtime.ioDevices.video.getFrame = getFrame;
+        mockCanvas.width = 480;
+        mockCanvas.height = 360;
+        mockCanvas.toDataURL.mockReset();
+    });
+
+    test("should record hands and replay them from the project", () => {
+        jest.useFakeTimers();
+        const variables = {};
+        Object.assign(mockStage, {
+            lookupOrCreateVariable: jest.fn((id, name) => {
+                variables[id] = variables[id] || { id, name, value: 0 };
+                return variables[id];
+            }),
+            lookupVariableById: jest.fn(id => variables[id]),
+            lookupVariableByNameAndType: jest.fn(() => undefined)
+        });
+        runtime.emitProjectChanged = jest.fn();
+
+        block.startRecordingHands({ NAME: 'demo' });
+        block.updateHands(createHandResult([{ handedness: 'Left' }]));
+        jest.advanceTimersByTime(500);
+        block.updateHands(null);
+        block.stopRecordingHands();
+
+        const variable = variables.xcxMPHand_recording_demo;
+        expect(variable.name).toBe('xcxMPHand recording: demo');
+        expect(JSON.parse(variable.value).frames).toHaveLength(2);
+        expect(runtime.emitProjectChanged).toHaveBeenCalled();
+
+        expect(block.replayRecording({ NAME: 'missing' })).toBe('Recording not found');
+
+        runtime.startHats.mockClear();
+        block.replayRecording({ NAME: 'demo' });
+        expect(block.isReplaying()).toBe(true);
+        jest.advanceTimersByTime(0);
+        expect(block.numberOfHands()).toBe(1);
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Left');
+        expect(runtime.startHats).toHaveBeenCalledWith('xcxMPHand_whenHandDetected');
+
+        // Live results are ignored while replaying
+        block.pendingDetection = { result: null, gestureResult: null, frame: {} };
+        block.detectOnFrame();
+        expect(block.numberOfHands()).toBe(1);
+
+        jest.advanceTimersByTime(500);
+        expect(block.numberOfHands()).toBe(0);
+        expect(block.isReplaying()).toBe(false);
+
+        block.replayRecording({ NAME: 'demo' });
+        block.stopReplaying();
+        expect(block.isReplaying()).toBe(false);
+
+        // The stop button stops replaying and stores the recording until then
+        block.replayRecording({ NAME: 'demo' });
+        block.startRecordingHands({ NAME: 'stopped' });
+        runtime.emit('PROJECT_STOP_ALL');
+        expect(block.isReplaying()).toBe(false);
+        expect(block.handRecorder.isRecording()).toBe(false);
+        expect(variables.xcxMPHand_recording_stopped).toBeDefined();
+
+        // A recording stops by itself at the maximum length
+        block.startRecordingHands({ NAME: 'long' });
+        block.updateHands(null);
+        jest.advanceTimersByTime(block.handRecorder.maxDuration);
+        block.updateHands(null);
+        expect(block.handRecorder.isRecording()).toBe(false);
+        expect(JSON.parse(variables.xcxMPHand_recording_long.value).frames).toHaveLength(2);
+
+        // A recording without the frame of the image is replayed as a frame of the stage size
+        const demo = JSON.parse(variables.xcxMPHand_recording_demo.value);
+        demo.frames.forEach(frame => {
+            frame.frame = null;
+        });
+        variables.xcxMPHand_recording_demo.value = JSON.stringify(demo);
+        block.replayRecording({ NAME: 'demo' });
+        jest.advanceTimersByTime(0);
+        expect(block.numberOfHands()).toBe(1);
+        block.stopReplaying();
+
+        // A frame which fails stops replaying
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(block, 'updateHands').mockImplementationOnce(() => {
+            throw new Error('Broken frame');
+        });
+        block.replayRecording({ NAME: 'demo' });
+        jest.advanceTimersByTime(0);
+        expect(block.isReplaying()).toBe(false);
+        expect(consoleError).toHaveBeenCalledWith('Error replaying recording:', expect.any(Error));
+        consoleError.mockRestore();
+        block.updateHands.mockRestore();
+
+        jest.useRealTimers();
+        delete mockStage.lookupOrCreateVariable;
+        delete mockStage.lookupVariableById;
+        delete mockStage.lookupVariableByNameAndType;
+        delete runtime.emitProjectChanged;
+    });
+
+    test("should store recordings in the extension storage without variables", () => {
+        jest.useFakeTimers();
+        const variables = {
+            old: { id: 'old', name: 'xcxMPHand recording: old', type: '', value: '' }
+        };
+        Object.assign(mockStage, {
+            extensionStorage: {},
+            variables,
+            lookupOrCreateVariable: jest.fn(),
+            lookupVariableById: jest.fn(id => variables[id]),
+            lookupVariableByNameAndType: jest.fn(name => Object.values(variables).find(v => v.name === name)),
+            deleteVariable: jest.fn(id => {
+                delete variables[id];
+            })
+        });
+        runtime.emitProjectChanged = jest.fn();
+
+        block.startRecordingHands({ NAME: 'demo' });
+        block.updateHands(createHandResult([{ handedness: 'Left' }]));
+        block.stopRecordingHands();
+        expect(mockStage.lookupOrCreateVariable).not.toHaveBeenCalled();
+        expect(mockStage.extensionStorage.xcxMPHand.recordings.demo.frames).toHaveLength(1);
+        expect(runtime.emitProjectChanged).toHaveBeenCalled();
+
+        // The recordings in the variables of the projects saved before are also listed
+        expect(block.getHandsDataMenu().map(item => item.value)).toEqual(['_current_', 'demo', 'old']);
+        expect(block.replayRecording({ NAME: 'constructor' })).toBe('Recording not found');
+        block.replayRecording({ NAME: 'demo' });
+        jest.advanceTimersByTime(0);
+        expect(block.handedness({ HAND_NUMBER: 1 })).toBe('Left');
+
+        block.deleteRecording({ NAME: 'demo' });
+        block.deleteRecording({ NAME: 'old' });
+        expect(mockStage.extensionStorage.xcxMPHand.recordings).toEqual({});
+        expect(mockStage.deleteVariable).toHaveBeenCalledWith('old');
+        expect(block.getHandsDataMenu().map(item => item.value)).toEqual(['_current_']);
+
+        jest.useRealTimers();
+        delete mockStage.extensionStorage;
+        delete mockStage.variables;
+        delete mockStage.lookupOrCreateVariable;
+        delete mockStage.lookupVariableById;
+        delete mockStage.lookupVariableByNameAndType;
+        delete mockStage.deleteVariable;
+        delete runtime.emitProjectChanged;
+    });
+
+    test("should download hands and load a hands file as a recording", async () => {
+        const variables = {};
+        Object.assign(mockStage, {
+            variables,
+            lookupOrCreateVariable: jest.fn((id, name) => {
+                variables[id] = variables[id] || { id, name, type: '', value: 0 };
+                return variables[id];
+            }),
+            lookupVariableById: jest.fn(id => variables[id]),
+            lookupVariableByNameAndType: jest.fn(() => undefined)
+        });
+        runtime.emitProjectChanged = jest.fn();
+        block.updateHands(createHandResult([{ handedness: 'Right' }]));
+
+        block.downloadHands({ DATA: '_current_', FILE_FORMAT: 'json' });
+        const [json, jsonName, jsonType] = downloadTextFile.mock.calls[0];
+        expect(jsonName).toBe('hands.json');
+        expect(jsonType).toBe('application/json');
+        expect(JSON.parse(json).handednesses[0][0].categoryName).toBe('Right');
+
+        block.downloadHands({ DATA: '_current_', FILE_FORMAT: 'csv' });
+        const csv = downloadTextFile.mock.calls[1][0];
+        expect(csv.split('\n')[1].startsWith('0,1,Right,')).toBe(true);
+
+        openTextFile.mockReturnValueOnce(Promise.resolve(csv));
+        expect(await block.loadHandsFile({ NAME: 'loaded' })).toBe('Recording loaded');
+        expect(variables.xcxMPHand_recording_loaded.name).toBe('xcxMPHand recording: loaded');
+        expect(block.getHandsDataMenu().map(item => item.value)).toEqual(['_current_', 'loaded']);
+
+        block.downloadHands({ DATA: 'loaded', FILE_FORMAT: 'json' });
+        expect(downloadTextFile.mock.calls[2][1]).toBe('loaded.json');
+        expect(JSON.parse(downloadTextFile.mock.calls[2][0]).frames).toHaveLength(1);
+        expect(block.downloadHands({ DATA: 'missing', FILE_FORMAT: 'csv' })).toBe('Recording not found');
+
+        openTextFile.mockReturnValueOnce(Promise.resolve('not hands'));
+        expect(await block.loadHandsFile({ NAME: 'broken' })).toBe('Invalid CSV');
+
+        delete mockStage.variables;
+        delete mockStage.lookupOrCreateVariable;
+        delete mockStage.lookupVariableById;
+        delete mockStage.lookupVariableByNameAndType;
+        delete runtime.emitProjectChanged;
+    });
+
+    test("should put landmarks and a summary of hands into lists", () => {
+        const list = { id: 'list', name: 'points', type: 'list', value: ['old'] };
+        const target = {
+            variables: { list },
+            lookupVariableByNameAndType: jest.fn((name, type) =>
+                ((name === 'points' && type === 'list') ? list : undefined))
+        };
+        const util = { target };
+        runtime.getEditingTarget = () => target;
+        expect(block.getListMenu()).toEqual([{ text: 'points', value: 'points' }]);
+        delete runtime.getEditingTarget;
+
+        block.updateHands(createHandResult([{ handedness: 'Left' }, { handedness: 'Right' }]));
+
+        block.putLandmarksIntoList({ COORDINATE: 'stage', HAND_NUMBER: 2, LIST: 'points', LIST_FORMAT: 'xyz' }, util);
+        expect(list.value).toHaveLength(63);
+        expect(list.value[24]).toBeCloseTo(block.handLandmarkX({ HAND_NUMBER: 2, LANDMARK: '8' }));
+        expect(list.value[25]).toBeCloseTo(block.handLandmarkY({ HAND_NUMBER: 2, LANDMARK: '8' }));
+        expect(list.value[26]).toBeCloseTo(block.handLandmarkZ({ HAND_NUMBER: 2, LANDMARK: '8' }));
+        expect(list._monitorUpToDate).toBe(false);
+
+        block.putLandmarksIntoList({ COORDINATE: 'relative', HAND_NUMBER: 1, LIST: 'points', LIST_FORMAT: 'y' }, util);
+        expect(list.value).toHaveLength(21);
+        expect(list.value[4]).toBeCloseTo(block.handLandmarkRelativeY({ HAND_NUMBER: 1, LANDMARK: '4' }));
+
+        block.putHandsSummaryIntoList({ LIST: 'points' }, util);
+        expect(list.value).toHaveLength(10);
+        expect(list.value[0]).toBe(block.handedness({ HAND_NUMBER: 1 }));
+        expect(list.value[6]).toBe(block.handId({ HAND_NUMBER: 2 }));
+        expect(list.value[7]).toBeCloseTo(block.palmCenterX({ HAND_NUMBER: 2 }));
+        expect(list.value[9]).toBeCloseTo(block.handSize({ HAND_NUMBER: 2 }));
+
+        block.putLandmarksIntoList({ COORDINATE: 'stage', HAND_NUMBER: 3, LIST: 'points', LIST_FORMAT: 'xy' }, util);
+        expect(list.value).toEqual([]);
+        expect(block.putHandsSummaryIntoList({ LIST: 'missing' }, util)).toBe('List not found');
+    });
+
+    test("should classify the poses of hands with the examples", () => {
+        block.updateHands(createHandResult([{ handedness: 'Right', curledFingers: ['index', 'middle', 'ring', 'pinky'] }]));
+        expect(block.poseLabel({ HAND_NUMBER: 1 })).toBe('');
+        block.addPoseExample({ HAND_NUMBER: 1, LABEL: 'rock' });
+
+        block.updateHands(createHandResult([{ handedness: 'Left' }]));
+        block.addPoseExample({ HAND_NUMBER: 1, LABEL: 'paper' });
+        expect(block.poseExampleCount({ LABEL: 'paper' })).toBe(1);
+        expect(block.poseLabel({ HAND_NUMBER: 1 })).toBe('paper');
+        expect(block.poseConfidence({ LABEL: 'paper', HAND_NUMBER: 1 })).toBeCloseTo(0.5);
+        expect(block.poseConfidence({ LABEL: 'unknown', HAND_NUMBER: 1 })).toBe(0);
+        expect(block.poseConfidence({ LABEL: 'constructor', HAND_NUMBER: 1 })).toBe(0);
+        expect(block.poseExampleCount({ LABEL: 'constructor' })).toBe(0);
+
+        // The position of the hand does not matter
+        block.updateHands(createHandResult([
+            { handedness: 'Right', curledFingers: ['index', 'middle', 'ring', 'pinky'], x: 0.3, y: 0.4 }
+        ]));
+        expect(block.poseLabel({ HAND_NUMBER: 1 })).toBe('rock');
+        block.clearPoseExamples({ LABEL: 'rock' });
+        expect(block.poseExampleCount({ LABEL: 'rock' })).toBe(0);
+        expect(block.poseLabel({ HAND_NUMBER: 1 })).toBe('paper');
+
+        block.clearAllPoseExamples();
+        expect(block.poseExampleCount({ LABEL: 'paper' })).toBe(0);
+        block.updateHands(null);
+        expect(block.addPoseExample({ HAND_NUMBER: 1, LABEL: 'rock' })).toBe('Hand not detected');
+        expect(block.poseLabel({ HAND_NUMBER: 1 })).toBe('');
+    });
 });
@@ -0,0 +1,23 @@
+import { FrameFit, fitFrameSize } from "../../src/vm/extensions/block/frame-fit.js";
+
+describe("frame-fit", () => {
+    const stage = { width: 480, height: 360 };
+    const wideFrame = { width: 640, height: 360 };
+
+    test("should stretch the frame to the stage", () => {
+        expect(fitFrameSize(wideFrame, stage, FrameFit.STRETCH)).toEqual({ width: 480, height: 360 });
+        expect(fitFrameSize(wideFrame, stage, 'unknown')).toEqual({ width: 480, height: 360 });
+    });
+
+    test("should contain the whole frame in the stage", () => {
+        expect(fitFrameSize(wideFrame, stage, FrameFit.CONTAIN)).toEqual({ width: 480, height: 270 });
+    });
+
+    test("should cover the stage with the frame", () => {
+        expect(fitFrameSize(wideFrame, stage, FrameFit.COVER)).toEqual({ width: 640, height: 360 });
+    });
+
+    test("should stretch when the frame has no size", () => {
+        expect(fitFrameSize({ width: 0, height: 0 }, stage, FrameFit.CONTAIN)).toEqual({ width: 480, height: 360 });
+    });
+});
@@ -0,0 +1,135 @@
+import {
+    resultToRecording,
+    recordingToCSV,
+    csvToRecording,
+    parseHandsFile,
+    openTextFile
+} from "../../src/vm/extensions/block/hand-data-file.js";
+import { RECORDING_VERSION } from "../../src/vm/extensions/block/hand-recording.js";
+import { createHandResult } from "../mocks/synthetic-hand.js";
+
+describe("hand-data-file", () => {
+    test("should convert a recording to CSV and back", () => {
+        const result = createHandResult([{ handedness: 'Left' }, { handedness: 'Right' }]);
+        const recording = {
+            version: RECORDING_VERSION,
+            frames: [
+                { time: 0, result, gestureResult: null, frame: {} },
+                { time: 33, result: null, gestureResult: null, frame: {} }
+            ]
+        };
+        const csv = recordingToCSV(recording);
+        const lines = csv.trim().split('\n');
+        const header = lines[0].split(',');
+        expect(header).toHaveLength(4 + (21 * 3 * 2));
+        expect(header.slice(0, 5)).toEqual(['time', 'hand', 'handedness', 'score', 'x0']);
+        expect(header[header.length - 1]).toBe('world_z20');
+        expect(lines).toHaveLength(4);
+        expect(lines[3].startsWith('33,0,')).toBe(true);
+
+        const restored = csvToRecording(csv);
+        expect(restored.frames).toHaveLength(2);
+        expect(restored.frames[0].result.handednesses.map(h => h[0].categoryName))
+            .toEqual(['Left', 'Right']);
+        expect(restored.frames[0].result.landmarks[1][8].x).toBeCloseTo(result.landmarks[1][8].x);
+        expect(restored.frames[0].result.worldLandmarks[0][4].z)
+            .toBeCloseTo(result.worldLandmarks[0][4].z);
+        expect(restored.frames[1]).toEqual({ time: 33, result: null, gestureResult: null, frame: {} });
+    });
+
+    test("should read JSON of a result, JSON of a recording and CSV", () => {
+        const result = createHandResult([{ handedness: 'Right' }]);
+        const fromResult = parseHandsFile(JSON.stringify(result));
+        expect(fromResult.frames).toHaveLength(1);
+        expect(fromResult.frames[0].result.handednesses[0][0].categoryName).toBe('Right');
+
+        const recording = resultToRecording(result);
+        expect(parseHandsFile(JSON.stringify(recording)).frames[0].time).toBe(0);
+
+        const fromCSV = parseHandsFile(recordingToCSV(recording));
+        expect(fromCSV.frames[0].result.landmarks[0]).toHaveLength(21);
+    });
+
+    test("should reject data which is not hands", () => {
+        expect(() => parseHandsFile('a,b,c\n1,2,3')).toThrow('Invalid CSV');
+        expect(() => parseHandsFile('')).toThrow('Invalid CSV');
+        expect(() => parseHandsFile('{"frames": 1}')).toThrow('Invalid recording');
+    });
+
+    test("should reject hands which do not have all the landmarks", () => {
+        const result = createHandResult([{ handedness: 'Left' }, { handedness: 'Right' }]);
+        const withoutWorld = { landmarks: result.landmarks, handednesses: result.handednesses };
+        expect(() => parseHandsFile(JSON.stringify(withoutWorld))).toThrow('Invalid recording');
+
+        const fewerWorld = Object.assign({}, result, { worldLandmarks: result.worldLandmarks.slice(1) });
+        expect(() => parseHandsFile(JSON.stringify(fewerWorld))).toThrow('Invalid recording');
+
+        const shortHand = Object.assign({}, result, { landmarks: [result.landmarks[0].slice(1), result.landmarks[1]] });
+        const recording = resultToRecording(shortHand);
+        expect(() => parseHandsFile(JSON.stringify(recording))).toThrow('Invalid recording');
+
+        const noHands = { version: RECORDING_VERSION, frames: [{ time: 0, result: null }] };
+        expect(parseHandsFile(JSON.stringify(noHands)).frames).toHaveLength(1);
+    });
+
+    describe("openTextFile", () => {
+        let input;
+        let windowListeners;
+
+        const setUserActivation = isActive => {
+            Object.defineProperty(global, 'navigator', {
+                value: { userActivation: { isActive } },
+                configurable: true,
+                writable: true
+            });
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            input = { click: jest.fn() };
+            windowListeners = {};
+            global.document = { createElement: jest.fn(() => input) };
+            global.window = {
+                addEventListener: jest.fn((type, listener) => {
+                    windowListeners[type] = listener;
+                }),
+                removeEventListener: jest.fn(type => {
+                    delete windowListeners[type];
+                })
+            };
+            setUserActivation(true);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete global.document;
+            delete global.window;
+            delete global.navigator;
+        });
+
+        test("should read the chosen file", async () => {
+            const promise = openTextFile('.csv');
+            expect(input.type).toBe('file');
+            expect(input.accept).toBe('.csv');
+            expect(input.click).toHaveBeenCalled();
+            input.files = [{ text: () => Promise.resolve('time,hand') }];
+            input.onchange();
+            await expect(promise).resolves.toBe('time,hand');
+            expect(windowListeners.focus).toBeUndefined();
+        });
+
+        test("should reject when the picker was closed without a file", async () => {
+            const promise = openTextFile('.json');
+            // The browser does not fire 'cancel', but the window gets the focus back
+            windowListeners.focus();
+            jest.advanceTimersByTime(1000);
+            await expect(promise).rejects.toThrow('No file was chosen');
+        });
+
+        test("should reject without a click because the picker is not shown", async () => {
+            setUserActivation(false);
+            await expect(openTextFile('.json')).rejects.toThrow('Click the block to choose a file');
+            expect(input.click).not.toHaveBeenCalled();
+        });
+    });
+});
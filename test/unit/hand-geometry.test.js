@@ -0,0 +1,82 @@
+import {
+    fingerCurl,
+    isFingerExtended,
+    countExtendedFingers,
+    angleBetween,
+    distance,
+    angleAt,
+    handOrientation,
+    palmCenter
+} from "../../src/vm/extensions/block/hand-geometry.js";
+import { createHandLandmarks } from "../mocks/synthetic-hand.js";
+
+const mirror = landmarks => landmarks.map(p => ({ x: -p.x, y: p.y, z: p.z }));
+
+describe("hand-geometry", () => {
+    test("should measure angles and distances", () => {
+        expect(angleBetween({ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 })).toBeCloseTo(90);
+        expect(angleBetween({ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 })).toBe(0);
+        expect(distance({ x: 0, y: 0, z: 0 }, { x: 3, y: 4, z: 0 })).toBe(5);
+    });
+
+    test("should measure finger curl", () => {
+        const open = createHandLandmarks();
+        const fist = createHandLandmarks(['thumb', 'index', 'middle', 'ring', 'pinky']);
+
+        expect(fingerCurl(open, 'index')).toBeLessThan(10);
+        expect(fingerCurl(fist, 'index')).toBeGreaterThan(90);
+        expect(fingerCurl(fist, 'thumb')).toBeGreaterThan(50);
+        expect(fingerCurl(open, 'unknown')).toBe(0);
+        expect(fingerCurl(open, 'constructor')).toBe(0);
+        expect(fingerCurl(open, 'toString')).toBe(0);
+        expect(isFingerExtended(open, 'constructor')).toBe(false);
+    });
+
+    test("should detect extended fingers", () => {
+        const pointing = createHandLandmarks(['thumb', 'middle', 'ring', 'pinky']);
+
+        expect(isFingerExtended(pointing, 'index')).toBe(true);
+        expect(isFingerExtended(pointing, 'thumb')).toBe(false);
+        expect(isFingerExtended(pointing, 'middle')).toBe(false);
+        expect(countExtendedFingers(pointing)).toBe(1);
+        expect(countExtendedFingers(createHandLandmarks())).toBe(5);
+    });
+
+    test("should not depend on the handedness or mirroring", () => {
+        const victory = createHandLandmarks(['thumb', 'ring', 'pinky']);
+        const mirrored = mirror(victory);
+
+        expect(countExtendedFingers(mirrored)).toBe(2);
+        expect(fingerCurl(mirrored, 'ring')).toBeCloseTo(fingerCurl(victory, 'ring'));
+    });
+
+    test("should measure angle at a landmark", () => {
+        expect(angleAt(createHandLandmarks(), 6, 5, 7)).toBeCloseTo(180);
+        expect(angleAt(createHandLandmarks(['index']), 6, 5, 7)).toBeCloseTo(90);
+    });
+
+    test("should measure orientation of a hand", () => {
+        // The synthetic hand is classified as left by MediaPipe when its palm faces the camera
+        const upright = handOrientation(createHandLandmarks(), false);
+        expect(upright.palmFacing).toBe(true);
+        expect(upright.roll).toBeCloseTo(0);
+        expect(upright.pitch).toBeCloseTo(0);
+        expect(upright.yaw).toBeCloseTo(0);
+        expect(handOrientation(createHandLandmarks(), true).palmFacing).toBe(false);
+
+        // Turned to point to the right
+        const turned = createHandLandmarks().map(p => ({ x: -p.y, y: p.x, z: p.z }));
+        expect(handOrientation(turned, false).roll).toBeCloseTo(90);
+
+        // Leaned toward the camera
+        const leaned = createHandLandmarks().map(p => ({ x: p.x, y: p.y * 0.5, z: p.y * 0.866 }));
+        expect(handOrientation(leaned, false).pitch).toBeCloseTo(60, 0);
+    });
+
+    test("should find the palm center", () => {
+        const center = palmCenter(createHandLandmarks());
+        expect(center.x).toBeCloseTo(-0.008);
+        expect(center.y).toBeCloseTo(-0.064);
+        expect(center.z).toBeCloseTo(0);
+    });
+});
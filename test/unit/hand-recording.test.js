@@ -0,0 +1,76 @@
+import { HandRecorder, parseRecording, RECORDING_VERSION } from "../../src/vm/extensions/block/hand-recording.js";
+import { createHandResult } from "../mocks/synthetic-hand.js";
+
+describe("hand-recording", () => {
+    test("should record results only while recording", () => {
+        const recorder = new HandRecorder();
+        const result = createHandResult([{ handedness: 'Left' }]);
+
+        recorder.record(result, null, {}, 100);
+        expect(recorder.isRecording()).toBe(false);
+        expect(recorder.stop()).toBeNull();
+
+        recorder.start(1000);
+        recorder.record(result, null, { mirrored: true, width: 640 }, 1000);
+        recorder.record(null, null, {}, 1033.3333333);
+        const recording = recorder.stop();
+
+        expect(recorder.isRecording()).toBe(false);
+        expect(recording.version).toBe(RECORDING_VERSION);
+        expect(recording.frames).toHaveLength(2);
+        expect(recording.frames[0].time).toBe(0);
+        expect(recording.frames[0].result.handednesses[0][0].categoryName).toBe('Left');
+        expect(recording.frames[0].frame).toEqual({ mirrored: true, width: 640 });
+        expect(recording.frames[1].time).toBe(33.33333);
+        expect(recording.frames[1].result).toBeNull();
+    });
+
+    test("should not record longer than the maximum length", () => {
+        const recorder = new HandRecorder(1000);
+        recorder.start(500);
+        recorder.record(null, null, {}, 500);
+        expect(recorder.isFull(1499)).toBe(false);
+        recorder.record(null, null, {}, 1500);
+        expect(recorder.isFull(1500)).toBe(true);
+        recorder.record(null, null, {}, 1501);
+        expect(recorder.stop().frames.map(frame => frame.time)).toEqual([0, 1000]);
+        expect(recorder.isFull(2000)).toBe(false);
+    });
+
+    test("should keep only the data which is used", () => {
+        const recorder = new HandRecorder();
+        const result = createHandResult([{ handedness: 'Right' }]);
+        const gestureResult = Object.assign({ gestures: [[{ categoryName: 'Victory', score: 0.8 }]] }, result);
+
+        recorder.start(0);
+        recorder.record(Object.assign({ extra: 1 }, result), gestureResult, {}, 0);
+        const frame = recorder.stop().frames[0];
+
+        expect(Object.keys(frame.result)).toEqual(['landmarks', 'worldLandmarks', 'handednesses']);
+        expect(Object.keys(frame.gestureResult)).toEqual(['gestures', 'landmarks']);
+        expect(frame.result.landmarks[0][0].x).toBeCloseTo(result.landmarks[0][0].x, 5);
+    });
+
+    test("should parse a recording", () => {
+        const recording = { version: 1, frames: [{ time: 0, result: null }] };
+        expect(parseRecording(JSON.stringify(recording))).toEqual(recording);
+        expect(() => parseRecording('{"frames": [{}]}')).toThrow('Invalid recording');
+        expect(() => parseRecording('0')).toThrow('Invalid recording');
+        expect(() => parseRecording('not json')).toThrow();
+    });
+
+    test("should reject the frames which the extension cannot replay", () => {
+        const result = createHandResult([{ handedness: 'Right' }]);
+        const parseFrame = frame => parseRecording(JSON.stringify({ version: 1, frames: [Object.assign({ time: 0, result }, frame)] }));
+
+        expect(() => parseFrame({ frame: null, gestureResult: null })).not.toThrow();
+        expect(() => parseFrame({ frame: { width: 640, height: 480 } })).not.toThrow();
+        expect(() => parseFrame({ frame: 'camera' })).toThrow('Invalid recording');
+        expect(() => parseFrame({ frame: { width: '640' } })).toThrow('Invalid recording');
+
+        expect(() => parseFrame({ gestureResult: { gestures: [[]], landmarks: result.landmarks } })).not.toThrow();
+        expect(() => parseFrame({ gestureResult: { gestures: [[]] } })).toThrow('Invalid recording');
+        expect(() => parseFrame({ gestureResult: { gestures: [], landmarks: result.landmarks } })).toThrow('Invalid recording');
+        expect(() => parseFrame({ gestureResult: { gestures: [[]], landmarks: [[]] } })).toThrow('Invalid recording');
+    });
+});
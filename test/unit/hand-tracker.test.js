@@ -0,0 +1,57 @@
+import { HandTracker } from "../../src/vm/extensions/block/hand-tracker.js";
+import { createHandResult } from "../mocks/synthetic-hand.js";
+
+describe("hand-tracker", () => {
+    test("should give new IDs to new hands", () => {
+        const tracker = new HandTracker();
+        expect(tracker.update(createHandResult([
+            { handedness: 'Right', x: 0.3 },
+            { handedness: 'Left', x: 0.7 }
+        ]))).toEqual([1, 2]);
+        expect(tracker.update(null)).toEqual([]);
+    });
+
+    test("should match hands by position", () => {
+        const tracker = new HandTracker();
+        tracker.update(createHandResult([
+            { handedness: 'Right', x: 0.3 },
+            { handedness: 'Right', x: 0.7 }
+        ]));
+        expect(tracker.update(createHandResult([
+            { handedness: 'Right', x: 0.65 },
+            { handedness: 'Right', x: 0.35 }
+        ]))).toEqual([2, 1]);
+    });
+
+    test("should prefer the same handedness", () => {
+        const tracker = new HandTracker();
+        tracker.update(createHandResult([
+            { handedness: 'Right', x: 0.45 },
+            { handedness: 'Left', x: 0.55 }
+        ]));
+        // The left hand is nearer to the previous right hand, but the handedness keeps them
+        expect(tracker.update(createHandResult([
+            { handedness: 'Left', x: 0.47 },
+            { handedness: 'Right', x: 0.42 }
+        ]))).toEqual([2, 1]);
+    });
+
+    test("should give back the ID to a hand lost for a moment", () => {
+        const tracker = new HandTracker();
+        tracker.update(createHandResult([{ handedness: 'Right', x: 0.3 }]));
+        tracker.update(null);
+        expect(tracker.update(createHandResult([{ handedness: 'Right', x: 0.3 }]))).toEqual([1]);
+        expect(tracker.update(createHandResult([{ handedness: 'Right', x: 0.8 }]))).toEqual([2]);
+        for (let i = 0; i < 6; i++) {
+            tracker.update(null);
+        }
+        expect(tracker.update(createHandResult([{ handedness: 'Right', x: 0.8 }]))).toEqual([3]);
+    });
+
+    test("should not reuse IDs after reset", () => {
+        const tracker = new HandTracker();
+        tracker.update(createHandResult([{ handedness: 'Right' }]));
+        tracker.reset();
+        expect(tracker.update(createHandResult([{ handedness: 'Right' }]))).toEqual([2]);
+    });
+});
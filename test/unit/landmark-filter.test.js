@@ -0,0 +1,49 @@
+import {
+    OneEuroFilter,
+    LandmarksFilter,
+    smoothingToParameters
+} from "../../src/vm/extensions/block/landmark-filter.js";
+
+describe("landmark-filter", () => {
+    test("should pass the first value and smooth the following values", () => {
+        const filter = new OneEuroFilter(1, 0);
+        expect(filter.filter(0, 0)).toBe(0);
+        const smoothed = filter.filter(10, 1 / 30);
+        expect(smoothed).toBeGreaterThan(0);
+        expect(smoothed).toBeLessThan(10);
+    });
+
+    test("should follow fast movements more than slow movements", () => {
+        const slow = new OneEuroFilter(1, 1);
+        const fast = new OneEuroFilter(1, 1);
+        slow.filter(0, 0);
+        fast.filter(0, 0);
+        expect(fast.filter(10, 1 / 30) / 10).toBeGreaterThan(slow.filter(0.1, 1 / 30) / 0.1);
+    });
+
+    test("should handle timestamps which are not increasing", () => {
+        const filter = new OneEuroFilter(1, 0);
+        filter.filter(0, 1);
+        const smoothed = filter.filter(10, 1);
+        expect(Number.isFinite(smoothed)).toBe(true);
+        expect(smoothed).toBeLessThan(10);
+    });
+
+    test("should filter every coordinate of landmarks", () => {
+        const filter = new LandmarksFilter(1, 0);
+        const first = [{ x: 0, y: 0, z: 0, visibility: 1 }];
+        expect(filter.filter(first, 0)).toEqual(first);
+        const [landmark] = filter.filter([{ x: 1, y: 2, z: 3, visibility: 1 }], 1 / 30);
+        expect(landmark.x).toBeGreaterThan(0);
+        expect(landmark.x).toBeLessThan(1);
+        expect(landmark.y).toBeLessThan(2);
+        expect(landmark.z).toBeLessThan(3);
+        expect(landmark.visibility).toBe(1);
+    });
+
+    test("should convert smoothing level to parameters", () => {
+        expect(smoothingToParameters(0).minCutoff).toBeCloseTo(5);
+        expect(smoothingToParameters(100).minCutoff).toBeCloseTo(0.1);
+        expect(smoothingToParameters(200).minCutoff).toBeCloseTo(0.1);
+    });
+});
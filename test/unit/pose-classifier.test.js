@@ -0,0 +1,79 @@
+import { PoseClassifier, normalizePose } from "../../src/vm/extensions/block/pose-classifier.js";
+import { createHandLandmarks } from "../mocks/synthetic-hand.js";
+
+const ALL_FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+const transform = (landmarks, offset, scale) => landmarks.map(p => ({
+    x: offset + (p.x * scale),
+    y: offset + (p.y * scale),
+    z: p.z * scale
+}));
+
+describe("pose-classifier", () => {
+    test("should not depend on the position and the size of the hand", () => {
+        const landmarks = createHandLandmarks(['index']);
+        const pose = normalizePose(landmarks, true);
+        const moved = normalizePose(transform(landmarks, 0.3, 2.5), true);
+        expect(pose).toHaveLength(63);
+        moved.forEach((value, index) => expect(value).toBeCloseTo(pose[index]));
+        // Distance from the wrist to the middle finger MCP is 1
+        expect(Math.hypot(pose[27], pose[28], pose[29])).toBeCloseTo(1);
+    });
+
+    test("should mirror left hands to compare them with right hands", () => {
+        const landmarks = createHandLandmarks();
+        const mirrored = landmarks.map(p => ({ x: -p.x, y: p.y, z: p.z }));
+        const right = normalizePose(landmarks, true);
+        normalizePose(mirrored, false).forEach((value, index) => expect(value).toBeCloseTo(right[index]));
+        expect(normalizePose(landmarks.map(() => ({ x: 0, y: 0, z: 0 })), true)).toBeNull();
+    });
+
+    test("should classify a pose by the nearest examples", () => {
+        const classifier = new PoseClassifier(3);
+        expect(classifier.classify(normalizePose(createHandLandmarks(), true))).toBeNull();
+
+        classifier.addExample('paper', normalizePose(createHandLandmarks(), true));
+        classifier.addExample('paper', normalizePose(createHandLandmarks(['thumb']), true));
+        classifier.addExample('rock', normalizePose(createHandLandmarks(ALL_FINGERS), true));
+        classifier.addExample('rock', normalizePose(createHandLandmarks(['index', 'middle', 'ring', 'pinky']), true));
+        classifier.addExample('scissors', normalizePose(createHandLandmarks(['thumb', 'ring', 'pinky']), true));
+        expect(classifier.labels()).toEqual(['paper', 'rock', 'scissors']);
+        expect(classifier.count('rock')).toBe(2);
+
+        const fist = classifier.classify(normalizePose(transform(createHandLandmarks(ALL_FINGERS), 0.1, 0.8), true));
+        expect(fist.label).toBe('rock');
+        expect(fist.confidences.get('rock')).toBeCloseTo(2 / 3);
+        expect(fist.confidences.get('paper') + fist.confidences.get('rock') + fist.confidences.get('scissors'))
+            .toBeCloseTo(1);
+
+        classifier.clear('rock');
+        expect(classifier.count('rock')).toBe(0);
+        expect(classifier.labels()).toEqual(['paper', 'scissors']);
+        classifier.clearAll();
+        expect(classifier.labels()).toEqual([]);
+    });
+
+    test("should break a tie by the nearest example", () => {
+        const classifier = new PoseClassifier(2);
+        classifier.addExample('far', [1, 0]);
+        classifier.addExample('near', [0.5, 0]);
+        const result = classifier.classify([0, 0]);
+        expect(result.label).toBe('near');
+        expect(result.confidences).toEqual(new Map([['far', 0.5], ['near', 0.5]]));
+    });
+
+    test("should take any text as a label", () => {
+        const classifier = new PoseClassifier();
+        expect(classifier.count('constructor')).toBe(0);
+        ['toString', 'constructor', '__proto__'].forEach((label, index) => {
+            classifier.addExample(label, [index, 0]);
+        });
+        expect(classifier.labels()).toEqual(['toString', 'constructor', '__proto__']);
+        expect(classifier.count('__proto__')).toBe(1);
+        const result = classifier.classify([1, 0]);
+        expect(result.label).toBe('constructor');
+        expect(result.confidences.get('hasOwnProperty')).toBeUndefined();
+        classifier.clear('toString');
+        expect(classifier.count('toString')).toBe(0);
+    });
+});
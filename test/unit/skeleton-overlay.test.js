@@ -0,0 +1,117 @@
+import { SkeletonOverlay } from "../../src/vm/extensions/block/skeleton-overlay.js";
+
+const createContext = () => ({
+    clearRect: jest.fn(),
+    beginPath: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    stroke: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn()
+});
+
+const createRenderer = () => ({
+    createBitmapSkin: jest.fn(() => 11),
+    createDrawable: jest.fn(() => 22),
+    updateDrawableSkinId: jest.fn(),
+    updateDrawableVisible: jest.fn(),
+    updateBitmapSkin: jest.fn()
+});
+
+const createHand = (handedness, x) => ({
+    handedness,
+    points: Array.from({ length: 21 }, (_, index) => ({ x: x, y: index * 5 }))
+});
+
+describe("skeleton-overlay", () => {
+    let context;
+
+    beforeEach(() => {
+        context = createContext();
+        global.document = {
+            createElement: jest.fn(() => ({
+                width: 0,
+                height: 0,
+                getContext: jest.fn(() => context)
+            }))
+        };
+    });
+
+    afterEach(() => {
+        delete global.document;
+    });
+
+    test("should not create a layer until it is shown", () => {
+        const renderer = createRenderer();
+        const overlay = new SkeletonOverlay({ renderer });
+
+        overlay.draw([createHand('Left', 0)], { width: 480, height: 360 });
+        overlay.setVisible(false);
+        expect(renderer.createDrawable).not.toHaveBeenCalled();
+
+        overlay.setVisible(true);
+        expect(renderer.createDrawable).toHaveBeenCalledWith('pen');
+        expect(renderer.updateDrawableSkinId).toHaveBeenCalledWith(22, 11);
+        expect(renderer.updateDrawableVisible).toHaveBeenCalledWith(22, true);
+    });
+
+    test("should draw the skeletons on the stage coordinates", () => {
+        const renderer = createRenderer();
+        const overlay = new SkeletonOverlay({ renderer });
+        overlay.setVisible(true);
+        overlay.setColor('Left', '#123456');
+
+        overlay.draw([createHand('Left', -100)], { width: 480, height: 360 });
+        expect(overlay.canvas.width).toBe(960);
+        expect(overlay.canvas.height).toBe(720);
+        // The wrist at (-100, 0) is at the left of the center of the canvas
+        expect(context.moveTo).toHaveBeenCalledWith(280, 360);
+        expect(context.lineTo).toHaveBeenCalledTimes(21);
+        expect(context.arc).toHaveBeenCalledTimes(21);
+        expect(context.strokeStyle).toBe('#123456');
+        expect(renderer.updateBitmapSkin).toHaveBeenCalledWith(11, overlay.canvas, 2);
+
+        // Clear the skeletons
+        context.lineTo.mockClear();
+        overlay.draw([], { width: 480, height: 360 });
+        expect(context.clearRect).toHaveBeenCalledTimes(2);
+        expect(context.lineTo).not.toHaveBeenCalled();
+    });
+
+    test("should hide the skeletons only while taking a snapshot", () => {
+        const renderer = createRenderer();
+        let drawSnapshot;
+        renderer.requestSnapshot = jest.fn(callback => {
+            drawSnapshot = () => callback('data:image/png;base64,stage');
+        });
+        const overlay = new SkeletonOverlay({ renderer });
+        const callback = jest.fn();
+
+        // The layer is not created to take a snapshot
+        overlay.requestSnapshot(callback);
+        drawSnapshot();
+        expect(renderer.createDrawable).not.toHaveBeenCalled();
+        expect(callback).toHaveBeenCalledWith('data:image/png;base64,stage');
+
+        overlay.setVisible(true);
+        renderer.updateDrawableVisible.mockClear();
+        overlay.requestSnapshot(callback);
+        expect(renderer.updateDrawableVisible).toHaveBeenLastCalledWith(22, false);
+        drawSnapshot();
+        expect(renderer.updateDrawableVisible).toHaveBeenLastCalledWith(22, true);
+
+        // It stays hidden if it was hidden before the snapshot was drawn
+        overlay.requestSnapshot(callback);
+        overlay.setVisible(false);
+        drawSnapshot();
+        expect(renderer.updateDrawableVisible).toHaveBeenLastCalledWith(22, false);
+    });
+
+    test("should do nothing without a renderer", () => {
+        const overlay = new SkeletonOverlay({});
+        overlay.setVisible(true);
+        overlay.draw([createHand('Right', 0)], { width: 480, height: 360 });
+        expect(overlay.visible).toBe(true);
+        expect(overlay.canvas).toBeNull();
+    });
+});
@@ -0,0 +1,26 @@
+import { skeletonToSVG } from "../../src/vm/extensions/block/skeleton-svg.js";
+
+describe("skeleton-svg", () => {
+    const points = Array.from({ length: 21 }, (_, index) => ({ x: index, y: -index }));
+    const box = { left: -10, right: 30, top: 10, bottom: -30 };
+
+    test("should render the skeleton in the box", () => {
+        const svg = skeletonToSVG(points, box, { color: '#ff8000', lineWidth: 2 });
+        expect(svg).toContain('width="40" height="40" viewBox="0 0 40 40"');
+        // The wrist at (0, 0) is 10 from the left and 10 from the top of the box
+        expect(svg).toContain('<circle cx="10" cy="10" r="3" fill="#ff8000"/>');
+        expect(svg).toContain('M10 10L11 11');
+        expect(svg.match(/<circle /g)).toHaveLength(21);
+        expect(svg).not.toContain('<image');
+    });
+
+    test("should put the background image under the skeleton", () => {
+        const background = {
+            dataURL: 'data:image/png;base64,AAAA',
+            box: { left: 0, right: 30, top: 10, bottom: -20 }
+        };
+        const svg = skeletonToSVG(points, box, { color: 'rgb(0, 0, 0)', lineWidth: 1 }, background);
+        expect(svg).toContain('<image x="10" y="0" width="30" height="30" xlink:href="data:image/png;base64,AAAA"/>');
+        expect(svg.indexOf('<image')).toBeLessThan(svg.indexOf('<path'));
+    });
+});